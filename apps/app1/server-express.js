@@ -36,29 +36,11 @@ app.get("/img/:file", (req, res) => {
     // Build callback URL using the same host/port that the browser used
     const callback = `${scheme}://${forwardedHost}/auth-callback`;
 
-    // For auth host, try to derive the auth domain:
-    // - If host is an IP (127.0.0.1, localhost), use the same host but different port/path
-    // - If host is a domain (local.console), prefix with 'app.'
-    const hostOnly = forwardedHost.split(":")[0];
-    let authHost;
-
-    if (
-      hostOnly === "127.0.0.1" ||
-      hostOnly === "localhost" ||
-      /^\d+\.\d+\.\d+\.\d+$/.test(hostOnly)
-    ) {
-      // For IP addresses, we can't do subdomain routing, so use same host
-      // You'll need to configure your gateway to route based on path or port
-      authHost = forwardedHost;
-    } else {
-      // For domain names, prefix with 'app.' for auth service
-      authHost = hostOnly.startsWith("app.") ? hostOnly : `app.${hostOnly}`;
-      // Preserve port if present in original host
-      const portMatch = forwardedHost.match(/:(\d+)$/);
-      if (portMatch) authHost += portMatch[0];
-    }
-
-    const authUrl = `${scheme}://${authHost}/auth`;
+    // The gateway routes /auth on this same host to app2, which it runs as
+    // auth.local.console (see the `routes` entry in gateway.config.json), so
+    // the auth provider shares our origin whether the browser used a
+    // hostname or an IP address.
+    const authUrl = `${scheme}://${forwardedHost}/auth`;
     const u = new URL(authUrl);
     u.searchParams.set("path", imgPath);
     u.searchParams.set("callback", callback);
@@ -0,0 +1,159 @@
+// Per-request access log for proxied traffic.
+//
+// One record per request: host, method, path, status, bytes sent, upstream
+// target, upstream latency (until response headers arrive), total latency,
+// client IP and TLS SNI name. Records go to rotating files next to the app logs
+// (<dir>/<host>/access-<timestamp>.log) as JSON lines or in Combined Log
+// Format with the extra fields appended as key=value pairs.
+
+import { LogStore } from './log-store.mjs';
+import { parseBefore, parseTime } from './log-filter.mjs';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function clfDate(ts) {
+  const d = new Date(ts);
+  const p = (n) => String(n).padStart(2, '0');
+  return `${p(d.getUTCDate())}/${MONTHS[d.getUTCMonth()]}/${d.getUTCFullYear()}:${p(d.getUTCHours())}:${p(d.getUTCMinutes())}:${p(d.getUTCSeconds())} +0000`;
+}
+
+const quote = (v) => (v ? String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"') : '-');
+const unquote = (v) => (v === '-' ? null : v.replace(/\\(.)/g, '$1'));
+
+export function formatCombined(r) {
+  const extras = [
+    `host=${r.host}`,
+    `upstream=${r.upstream || '-'}`,
+    `upstream_ms=${r.upstreamMs ?? '-'}`,
+    `total_ms=${r.totalMs}`,
+    `sni=${r.sni || '-'}`
+  ];
+  if (r.aborted) extras.push('aborted=1');
+  return `${r.ip || '-'} - - [${clfDate(r.ts)}] "${r.method} ${quote(r.path)} HTTP/${r.httpVersion}" ${r.status} ${r.bytes || '-'} "${quote(r.referer)}" "${quote(r.userAgent)}" ${extras.join(' ')}`;
+}
+
+const COMBINED = /^(\S+) \S+ \S+ \[(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) [+-]\d{4}\] "(\S+) ((?:[^"\\]|\\.)*) HTTP\/([\d.]+)" (\d{3}) (\d+|-) "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)"(.*)$/;
+
+// Inverse of formatCombined (timestamps come back with second precision)
+export function parseCombined(line) {
+  const m = COMBINED.exec(line);
+  if (!m) return null;
+  const extras = Object.fromEntries(m[15].trim().split(/\s+/).filter(Boolean).map(kv => {
+    const i = kv.indexOf('=');
+    return [kv.slice(0, i), kv.slice(i + 1)];
+  }));
+  const num = (v) => (v === undefined || v === '-' ? null : Number(v));
+  const rec = {
+    ts: Date.UTC(+m[4], MONTHS.indexOf(m[3]), +m[2], +m[5], +m[6], +m[7]),
+    host: extras.host || null,
+    method: m[8],
+    path: unquote(m[9]),
+    httpVersion: m[10],
+    status: Number(m[11]),
+    bytes: m[12] === '-' ? 0 : Number(m[12]),
+    upstream: extras.upstream && extras.upstream !== '-' ? extras.upstream : null,
+    upstreamMs: num(extras.upstream_ms),
+    totalMs: num(extras.total_ms),
+    ip: m[1] === '-' ? null : m[1],
+    sni: extras.sni && extras.sni !== '-' ? extras.sni : null,
+    referer: unquote(m[13]),
+    userAgent: unquote(m[14])
+  };
+  if (extras.aborted) rec.aborted = true;
+  return rec;
+}
+
+function clientIp(req) {
+  const ip = req.socket?.remoteAddress || '';
+  return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+export class AccessLog {
+  constructor(options = {}) {
+    this.format = options.format === 'combined' ? 'combined' : 'json';
+    const combined = this.format === 'combined';
+    this.store = new LogStore({
+      ...options,
+      prefix: 'access',
+      serialize: combined ? formatCombined : JSON.stringify,
+      parse: combined ? parseCombined : JSON.parse
+    });
+  }
+
+  // Start a record for a request. The caller may fill in `upstream` and call
+  // upstreamStarted()/upstreamResponded(); the record is written when the
+  // response finishes or the client goes away.
+  track(req, res, host) {
+    const began = performance.now();
+    const rec = {
+      ts: Date.now(),
+      host,
+      method: req.method,
+      path: req.url,
+      httpVersion: req.httpVersion,
+      status: 0,
+      bytes: 0,
+      upstream: null,
+      upstreamMs: null,
+      totalMs: 0,
+      ip: clientIp(req),
+      sni: req.socket?.servername || null,
+      referer: req.headers.referer || null,
+      userAgent: req.headers['user-agent'] || null
+    };
+    // Count body bytes actually sent (chunked responses have no Content-Length)
+    const count = (chunk, enc) => {
+      if (!chunk || typeof chunk === 'function') return;
+      rec.bytes += typeof chunk === 'string' ? Buffer.byteLength(chunk, typeof enc === 'string' ? enc : 'utf8') : chunk.length;
+    };
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, enc, cb) { count(chunk, enc); return write.call(this, chunk, enc, cb); };
+    res.end = function (chunk, enc, cb) { count(chunk, enc); return end.call(this, chunk, enc, cb); };
+    let proxyStart = 0;
+    rec.upstreamStarted = () => { proxyStart = performance.now(); };
+    rec.upstreamResponded = () => { if (proxyStart) rec.upstreamMs = round(performance.now() - proxyStart); };
+    res.once('close', () => {
+      // 499 (client closed request) when nothing was sent, as nginx does
+      rec.status = res.headersSent ? res.statusCode : 499;
+      if (!res.writableFinished) rec.aborted = true;
+      rec.totalMs = round(performance.now() - began);
+      const { upstreamStarted, upstreamResponded, ...out } = rec;
+      try { this.store.append(host, out); } catch (e) { console.error('[access-log] append failed:', e.message); }
+    });
+    return rec;
+  }
+
+  read(host, opts) {
+    return this.store.read(host.toLowerCase(), opts);
+  }
+
+  close() {
+    return this.store.close();
+  }
+}
+
+// Filter for the access log API: status=404 or status=5xx, method=GET,
+// q=path substring, ip=client address, plus from / to / before.
+export function compileAccessFilter(params) {
+  const get = (k) => (params.get(k) || '').trim();
+  const status = get('status').toLowerCase();
+  if (status && !/^[1-5](\d\d|xx)$/.test(status)) throw new Error('status must be a code like 404 or a class like 5xx');
+  const method = get('method').toUpperCase();
+  const q = get('q').toLowerCase();
+  const ip = get('ip');
+  const from = parseTime(get('from'), 'from');
+  const before = parseBefore(get('before'));
+  const to = before.to ?? parseTime(get('to'), 'to');
+  const skip = before.to !== undefined ? before.skip : 0;
+  const match = (r) => {
+    if (status && (status.endsWith('xx') ? String(r.status)[0] !== status[0] : String(r.status) !== status)) return false;
+    if (method && r.method !== method) return false;
+    if (q && !String(r.path || '').toLowerCase().includes(q)) return false;
+    if (ip && r.ip !== ip) return false;
+    return true;
+  };
+  return { from, to, skip, match };
+}
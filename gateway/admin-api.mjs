@@ -2,9 +2,14 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { URL, fileURLToPath } from 'node:url';
 import crypto from 'node:crypto';
+import { maskApp, unmaskEnv } from './app-env.mjs';
+import { compileLogFilter, detectLevel } from './log-filter.mjs';
+import { compileAccessFilter } from './access-log.mjs';
+
+const withLevel = (e) => ({ ...e, level: detectLevel(e) });
 
 // Minimal router without external deps
-export function installAdminApi(server, { manager, token, certInstaller, adminWs }) {
+export function installAdminApi(server, { manager, token, certInstaller, adminWs, accessLog, metrics, series, perfMonitor, notifier, passiveHealth }) {
   const routes = [];
   const add = (method, pattern, handler) => routes.push({ method, pattern, handler });
 
@@ -14,9 +19,11 @@ export function installAdminApi(server, { manager, token, certInstaller, adminWs
   // Allow the HTML shell to load so user can input token
   if (req.method === 'GET' && (pathOnly === '/admin' || pathOnly === '/admin/')) return true;
     const hdr = req.headers['x-admin-token'];
+    // Bearer tokens are what Prometheus scrape configs send (authorization.credentials)
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1];
     const url = new URL(req.url, 'http://localhost');
     const q = url.searchParams.get('token');
-    if (hdr === token || q === token) return true;
+    if (hdr === token || bearer === token || q === token) return true;
     res.writeHead(401, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'unauthorized' }));
     return false;
@@ -32,7 +39,7 @@ export function installAdminApi(server, { manager, token, certInstaller, adminWs
   const storageDir = path.join(__dirname, 'storage');
 
   add('GET', /^\/admin\/apps$/, (req, res) => {
-  const apps = manager.listApps().map(a => ({ ...a, runtime: manager.runtime(a.host) }));
+  const apps = manager.listApps().map(a => ({ ...maskApp(a), runtime: manager.runtime(a.host) }));
   json(res, 200, { apps });
   });
 
@@ -48,15 +55,15 @@ export function installAdminApi(server, { manager, token, certInstaller, adminWs
         }
         data.host = String(data.host).trim();
         const created = manager.addApp(data);
-        json(res, 201, created);
-      } catch (e) { json(res, 400, { error: e.message }); }
+        json(res, 201, maskApp(created));
+      } catch (e) { json(res, 400, { error: e.message, errors: e.errors }); }
     });
   });
 
   add('GET', /^\/admin\/apps\/([^/]+)$/i, (req, res, m) => {
     const app = manager.getApp(m[1]);
     if (!app) return json(res, 404, { error: 'not found' });
-  json(res, 200, { ...app, runtime: manager.runtime(app.host) });
+  json(res, 200, { ...maskApp(app), runtime: manager.runtime(app.host) });
   });
 
   add('PATCH', /^\/admin\/apps\/([^/]+)$/i, (req, res, m) => {
@@ -69,9 +76,11 @@ export function installAdminApi(server, { manager, token, certInstaller, adminWs
         if (partial && Object.prototype.hasOwnProperty.call(partial, 'host')) {
           return json(res, 400, { error: 'cannot change host via patch' });
         }
+        // Masked secrets sent back unchanged keep their stored values
+        if (partial.env) partial.env = unmaskEnv(partial.env, manager.getApp(m[1])?.env);
         const app = manager.updateApp(m[1], partial);
-        json(res, 200, app);
-      } catch (e) { json(res, 400, { error: e.message }); }
+        json(res, 200, maskApp(app));
+      } catch (e) { json(res, 400, { error: e.message, errors: e.errors }); }
     });
   });
 
@@ -90,8 +99,38 @@ export function installAdminApi(server, { manager, token, certInstaller, adminWs
     try { json(res, 200, manager.stop(m[1])); }
     catch (e) { json(res, 400, { error: e.message }); }
   });
-  add('POST', /^\/admin\/apps\/([^/]+)\/restart$/i, (req, res, m) => {
-    try { json(res, 200, manager.restart(m[1])); }
+  add('POST', /^\/admin\/apps\/([^/]+)\/restart$/i, async (req, res, m) => {
+    try { json(res, 200, await manager.restart(m[1])); }
+    catch (e) { json(res, 400, { error: e.message }); }
+  });
+
+  // Zero-downtime (blue/green) restart; responds once traffic has switched over
+  add('POST', /^\/admin\/apps\/([^/]+)\/reload$/i, async (req, res, m) => {
+    try { json(res, 200, await manager.reload(m[1])); }
+    catch (e) { json(res, 400, { error: e.message }); }
+  });
+
+  // Groups of apps (the `group` field) started and stopped together, in
+  // dependency order; both respond once the apps are up / gone
+  add('GET', /^\/admin\/groups$/i, (req, res) => {
+    const out = [];
+    for (const [name, hosts] of manager.groups()) {
+      out.push({ name, apps: hosts, running: hosts.filter(h => manager.isRunning(h)).length });
+    }
+    json(res, 200, out);
+  });
+  add('POST', /^\/admin\/groups\/([^/]+)\/start$/i, async (req, res, m) => {
+    try { json(res, 200, await manager.startGroup(decodeURIComponent(m[1]))); }
+    catch (e) { json(res, 400, { error: e.message }); }
+  });
+  add('POST', /^\/admin\/groups\/([^/]+)\/stop$/i, async (req, res, m) => {
+    try { json(res, 200, await manager.stopGroup(decodeURIComponent(m[1]))); }
+    catch (e) { json(res, 400, { error: e.message }); }
+  });
+
+  // Leave the errored (crash loop) state and start again
+  add('POST', /^\/admin\/apps\/([^/]+)\/reset$/i, (req, res, m) => {
+    try { json(res, 200, manager.reset(m[1])); }
     catch (e) { json(res, 400, { error: e.message }); }
   });
 
@@ -105,11 +144,70 @@ export function installAdminApi(server, { manager, token, certInstaller, adminWs
   });
 
   add('GET', /^\/admin\/apps\/([^/]+)\/runtime$/i, (req, res, m) => {
-    try { json(res, 200, manager.runtime(m[1])); }
+    try { json(res, 200, manager.runtime(m[1], { history: true })); }
     catch (e) { json(res, 404, { error: e.message }); }
   });
 
-  add('GET', /^\/admin\/apps\/([^/]+)\/logs$/i, (req, res, m) => {
+  // Health state, the effective probe, recent probe results (?limit=100) and
+  // the passive counters of each upstream
+  add('GET', /^\/admin\/apps\/([^/]+)\/health$/i, (req, res, m) => {
+    const app = manager.getApp(decodeURIComponent(m[1]));
+    if (!app) return json(res, 404, { error: 'not found' });
+    const limit = Math.min(parseInt(new URL(req.url, 'http://localhost').searchParams.get('limit'), 10) || 100, 1000);
+    const rt = manager.runtime(app.host);
+    json(res, 200, { health: rt.health, upstreams: rt.upstreams, probe: manager.probeFor(app.host), history: manager.healthHistory(app.host, { limit }), passive: passiveHealth ? passiveHealth.snapshot(app) : {} });
+  });
+
+  // Prometheus scrape endpoint
+  add('GET', /^\/admin\/metrics$/i, (req, res) => {
+    if (!metrics) return json(res, 404, { error: 'metrics are not available' });
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(metrics.render());
+  });
+
+  // Gateway performance alerts: { active, alerts } (?since=<epoch ms>&limit=)
+  add('GET', /^\/admin\/alerts$/i, (req, res) => {
+    if (!perfMonitor) return json(res, 404, { error: 'performance monitoring is disabled' });
+    const q = new URL(req.url, 'http://localhost').searchParams;
+    const limit = Math.min(parseInt(q.get('limit'), 10) || 100, 1000);
+    json(res, 200, { ...perfMonitor.alerts({ since: Number(q.get('since')) || 0, limit }), thresholds: perfMonitor.thresholds, metrics: perfMonitor.metrics });
+  });
+
+  // Notification channels (name and type only; settings may hold secrets),
+  // rules and the last notifications sent with their delivery results
+  add('GET', /^\/admin\/notifications$/i, (req, res) => {
+    if (!notifier) return json(res, 404, { error: 'notifications are not available' });
+    json(res, 200, {
+      channels: Array.from(notifier.channels.values()).map(c => ({ name: c.name, type: c.type })),
+      rules: notifier.rules,
+      history: notifier.history.slice().reverse()
+    });
+  });
+
+  // Send a test notification: body { channel } (omit for every channel)
+  add('POST', /^\/admin\/notifications\/test$/i, async (req, res) => {
+    if (!notifier) return json(res, 404, { error: 'notifications are not available' });
+    let body = '';
+    req.on('data', d => body += d);
+    req.on('end', async () => {
+      try {
+        const { channel } = JSON.parse(body || '{}');
+        json(res, 200, await notifier.test(channel));
+      } catch (e) { json(res, 400, { error: e.message }); }
+    });
+  });
+
+  // Time series for the admin UI charts: ?range=1h (10s steps) or 24h (5min steps)
+  add('GET', /^\/admin\/apps\/([^/]+)\/metrics$/i, (req, res, m) => {
+    if (!series) return json(res, 404, { error: 'metrics history is not available' });
+    const app = manager.getApp(decodeURIComponent(m[1]));
+    if (!app) return json(res, 404, { error: 'not found' });
+    const range = new URL(req.url, 'http://localhost').searchParams.get('range') || '1h';
+    try { json(res, 200, series.series(app.host.toLowerCase(), range)); }
+    catch (e) { json(res, 400, { error: e.message }); }
+  });
+
+  add('GET', /^\/admin\/apps\/([^/]+)\/logs$/i, async (req, res, m) => {
     try {
       if (!m || !m[1]) {
         return json(res, 400, { error: 'Invalid app host in URL' });
@@ -118,15 +216,92 @@ export function installAdminApi(server, { manager, token, certInstaller, adminWs
       const host = decodeURIComponent(m[1]);
       const url = new URL(req.url, 'http://localhost');
       const limit = parseInt(url.searchParams.get('limit') || '200', 10);
-      
-      const logs = manager.tail(host, limit);
-      json(res, 200, { logs: logs || [] });
+      // stream / level / q / regex narrow the result; from / to / before
+      // (epoch ms or ISO date) page through on-disk history
+      const filter = compileLogFilter(url.searchParams);
+      if (filter.from !== undefined || filter.to !== undefined) {
+        const page = await manager.history(host, { from: filter.from, to: filter.to, skip: filter.skip, limit, filter: filter.match });
+        return json(res, 200, { ...page, logs: page.logs.map(withLevel) });
+      }
+
+      const logs = filter.active ? manager.tail(host, manager.maxLogs).filter(filter.match).slice(-limit) : manager.tail(host, limit);
+      json(res, 200, { logs: (logs || []).map(withLevel) });
     } catch (e) { 
       console.error('Logs API error:', e);
       json(res, 400, { error: e.message }); 
     }
   });
 
+  // Proxied requests for a host, newest `limit` within from / to / before,
+  // narrowed by status (404, 5xx), method, q (path substring) and ip
+  add('GET', /^\/admin\/apps\/([^/]+)\/access-log$/i, async (req, res, m) => {
+    try {
+      if (!accessLog) return json(res, 404, { error: 'access log is disabled' });
+      const url = new URL(req.url, 'http://localhost');
+      const limit = parseInt(url.searchParams.get('limit') || '200', 10);
+      const filter = compileAccessFilter(url.searchParams);
+      const page = await accessLog.read(decodeURIComponent(m[1]), { from: filter.from, to: filter.to, skip: filter.skip, limit, filter: filter.match });
+      json(res, 200, { entries: page.logs, nextBefore: page.nextBefore });
+    } catch (e) { json(res, 400, { error: e.message }); }
+  });
+
+  // Live log tail as Server-Sent Events. Accepts the same filters as /logs plus
+  // `tail` (number of buffered entries to send first); EventSource clients pass
+  // the admin token as ?token=.
+  const streams = new Set(); // open SSE responses
+  function streamLogs(req, res, hosts) {
+    const url = new URL(req.url, 'http://localhost');
+    let filter;
+    try { filter = compileLogFilter(url.searchParams); }
+    catch (e) { return json(res, 400, { error: e.message }); }
+    const want = hosts.length ? new Set(hosts) : null;
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.write('retry: 3000\n\n');
+    const send = (host, entry) => res.write(`event: log\ndata: ${JSON.stringify({ host, ...withLevel(entry) })}\n\n`);
+    const tail = parseInt(url.searchParams.get('tail') || '0', 10);
+    if (tail > 0) {
+      const backlog = [];
+      for (const a of manager.listApps()) {
+        const h = a.host.toLowerCase();
+        if (want && !want.has(h)) continue;
+        for (const e of manager.tail(h, manager.maxLogs)) if (filter.match(e)) backlog.push([h, e]);
+      }
+      backlog.sort((x, y) => x[1].ts - y[1].ts);
+      for (const [h, e] of backlog.slice(-tail)) send(h, e);
+    }
+    const onLog = (e) => {
+      const h = e.host.toLowerCase();
+      if (want && !want.has(h)) return;
+      const entry = { ts: e.ts || Date.now(), stream: e.stream, line: e.line };
+      if (e.instance) entry.instance = e.instance;
+      if (filter.match(entry)) send(h, entry);
+    };
+    manager.on('app-log', onLog);
+    const ping = setInterval(() => res.write(': ping\n\n'), 15000);
+    streams.add(res);
+    res.on('close', () => {
+      manager.off('app-log', onLog);
+      clearInterval(ping);
+      streams.delete(res);
+    });
+  }
+
+  // hosts=a,b (or host=a) selects apps; none means all apps
+  add('GET', /^\/admin\/logs\/stream$/i, (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const hosts = (url.searchParams.get('hosts') || url.searchParams.get('host') || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+    streamLogs(req, res, hosts);
+  });
+  add('GET', /^\/admin\/apps\/([^/]+)\/logs\/stream$/i, (req, res, m) => {
+    streamLogs(req, res, [decodeURIComponent(m[1]).toLowerCase()]);
+  });
+
+  // Re-read gateway.config.json and apply changes made on disk
+  add('POST', /^\/admin\/config\/reload$/i, (req, res) => {
+    try { json(res, 200, manager.reloadConfig()); }
+    catch (e) { json(res, 400, { error: e.message, errors: e.errors }); }
+  });
+
   // Start/stop admin WebSocket runtime control (requires auth)
   add('POST', /^\/admin\/ws\/start$/i, async (req, res) => {
     try {
@@ -949,5 +1124,10 @@ export function installAdminApi(server, { manager, token, certInstaller, adminWs
     return true;
   }
 
-  return { handle };
+  // End open log streams (used on shutdown so they do not hold up draining)
+  function closeStreams() {
+    for (const res of streams) res.end();
+  }
+
+  return { handle, closeStreams };
 }
@@ -1,5 +1,6 @@
 import { WebSocketServer } from 'ws';
 import { URL } from 'node:url';
+import { maskApp } from './app-env.mjs';
 
 export function installAdminWs(server, { manager, token }) {
   const wss = new WebSocketServer({ noServer: true });
@@ -11,8 +12,10 @@ export function installAdminWs(server, { manager, token }) {
     }
   };
 
-  const forwardEvent = (type, payload) => broadcast({ type, ...payload });
-  const events = ['app-start','app-stop','app-exit','app-log','app-added','app-removed','app-updated','config-saved'];
+  // App configs in event payloads are sent with secret env values masked;
+  // the pre-update config on app-updated is only for in-process listeners
+  const forwardEvent = (type, { previous, ...payload } = {}) => broadcast({ type, ...payload, ...(payload.app ? { app: maskApp(payload.app) } : {}) });
+  const events = ['app-start','app-stop','app-exit','app-log','app-added','app-removed','app-updated','config-saved','upstream-health','app-reloaded','app-idle','config-reloaded','config-error','perf-alert','app-crashloop','app-reset','app-unhealthy-restart'];
 
   // manager handlers map so we can detach later
   const mgrHandlers = Object.create(null);
@@ -47,7 +50,7 @@ export function installAdminWs(server, { manager, token }) {
       }
       wss.handleUpgrade(req, socket, head, (ws) => {
         wss.emit('connection', ws, req);
-        try { ws.send(JSON.stringify({ type: 'welcome', time: Date.now(), apps: manager.listApps() })); } catch(_){}
+        try { ws.send(JSON.stringify({ type: 'welcome', time: Date.now(), apps: manager.listApps().map(maskApp) })); } catch(_){}
       });
     } catch (e) {
       try { socket.destroy(); } catch(_){}
@@ -0,0 +1,92 @@
+// Environment for spawned app processes.
+//
+// Each app may set `env` (an object of variables) and `envFile` (a dotenv-style
+// file, relative to the app's cwd). Values may reference `${port}`, `${host}`,
+// `${instance}`, `${cwd}` or any other variable (`${HOME}`, a key defined
+// earlier in the file, ...). Precedence, lowest first: gateway process env,
+// envFile, env; PORT and NODE_APP_INSTANCE are always set by the gateway.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const MASK = '********';
+
+// Variable names that look like credentials are masked in admin API output
+const SECRET_KEY = /(secret|token|passw(or)?d|pwd|api_?key|private|credential|auth)/i;
+
+export function isSecretKey(name) {
+  return SECRET_KEY.test(name);
+}
+
+// Parse KEY=VALUE lines: `#` comments, optional `export `, single/double quotes
+// (double quotes understand \n, \r, \t and \"), trailing comments on unquoted values.
+export function parseEnvFile(text) {
+  const out = {};
+  for (const raw of String(text).split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const m = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/.exec(line);
+    if (!m) continue;
+    let value = m[2];
+    if (value.startsWith('"') && value.lastIndexOf('"') > 0) {
+      value = value.slice(1, value.lastIndexOf('"')).replace(/\\([nrt"\\])/g, (_, c) => ({ n: '\n', r: '\r', t: '\t' })[c] || c);
+    } else if (value.startsWith("'") && value.lastIndexOf("'") > 0) {
+      value = value.slice(1, value.lastIndexOf("'"));
+    } else {
+      value = value.replace(/\s+#.*$/, '').trim();
+    }
+    out[m[1]] = value;
+  }
+  return out;
+}
+
+function interpolate(value, lookup) {
+  return String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => {
+    const v = lookup(name);
+    return v === undefined || v === null ? '' : String(v);
+  });
+}
+
+// Build the env for one instance. `onWarn(message)` reports non-fatal problems
+// (such as an unreadable envFile) so the caller can log them.
+export function buildAppEnv(app, { port, instance = 0, base = process.env, onWarn } = {}) {
+  const env = { ...base, NODE_ENV: base.NODE_ENV || 'production' };
+  const builtins = { port: port ?? '', host: app.host, instance, cwd: app.cwd || '' };
+  const lookup = (name) => (name in builtins ? builtins[name] : env[name]);
+  const apply = (vars) => {
+    for (const [k, v] of Object.entries(vars)) {
+      if (!k.startsWith('#')) env[k] = interpolate(v, lookup); // "#..." keys are config comments
+    }
+  };
+  if (app.envFile) {
+    const file = path.resolve(app.cwd || '.', app.envFile);
+    try {
+      apply(parseEnvFile(fs.readFileSync(file, 'utf8')));
+    } catch (e) {
+      onWarn?.(`cannot read envFile ${file}: ${e.message}`);
+    }
+  }
+  if (app.env && typeof app.env === 'object') apply(app.env);
+  if (port) env.PORT = String(port);
+  env.NODE_APP_INSTANCE = String(instance);
+  return env;
+}
+
+// Copy of an app config with secret-looking env values replaced by MASK
+export function maskApp(app) {
+  if (!app || !app.env || typeof app.env !== 'object') return app;
+  const env = {};
+  for (const [k, v] of Object.entries(app.env)) env[k] = isSecretKey(k) && v !== '' ? MASK : v;
+  return { ...app, env };
+}
+
+// Undo masking in an incoming env object: values still equal to MASK keep the
+// currently stored value (the admin UI sends back what it was shown).
+export function unmaskEnv(env, current) {
+  if (!env || typeof env !== 'object' || !current) return env;
+  const out = { ...env };
+  for (const [k, v] of Object.entries(out)) {
+    if (v === MASK && current[k] !== undefined) out[k] = current[k];
+  }
+  return out;
+}
@@ -2,81 +2,234 @@ import { spawn, spawnSync } from 'node:child_process';
 import { EventEmitter } from 'node:events';
 import fs from 'node:fs';
 import path from 'node:path';
-import { request } from 'undici';
+import { StringDecoder } from 'node:string_decoder';
+import { instanceCount, isPooled, listUpstreams, upstreamKey } from './load-balancer.mjs';
+import { hasHealthCheck, nextState, probeConfig, runProbe, upstreamProbe } from './health-check.mjs';
+import { assertValid, validateApp, validateConfig } from './config-schema.mjs';
+import { buildAppEnv } from './app-env.mjs';
+import { dependencyClosure, dependencyErrors, dependencyOrder, dependentsOf, dependsOn } from './dependencies.mjs';
+import { CLK_TCK, sampleTrees, supported as usageSupported } from './proc-stats.mjs';
+
+// Child processes are tracked per instance: instance 0 uses the bare host as
+// its key (as before multi-instance support), further ones use "host#<n>".
+export function instanceKey(host, index) {
+  return index ? `${host}#${index}` : host;
+}
+
+export { instanceCount };
+
+export function instancePort(app, index) {
+  return app.port ? Number(app.port) + index : undefined;
+}
+
+// Signal a child together with everything it spawned (npm/shell wrappers leave
+// grandchildren behind otherwise). On POSIX each child leads its own process
+// group (spawned detached), so a negative pid reaches the whole group; on
+// Windows taskkill /T walks the tree and /F forces it.
+function killTree(child, signal = 'SIGTERM') {
+  if (!child || !child.pid) return;
+  if (process.platform === 'win32') {
+    const args = ['/pid', String(child.pid), '/T'];
+    if (signal === 'SIGKILL') args.push('/F');
+    spawn('taskkill', args, { stdio: 'ignore', windowsHide: true }).on('error', () => { try { child.kill(signal); } catch {} });
+    return;
+  }
+  try { process.kill(-child.pid, signal); }
+  catch { try { child.kill(signal); } catch {} }
+}
+
+// Turns a child's output stream into whole lines: buffers partial lines, keeps
+// multi-byte UTF-8 characters intact across chunks, drops the CR of CRLF and
+// truncates lines longer than maxLength (the rest of such a line is skipped).
+function lineSplitter(onLine, maxLength = 16 * 1024) {
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  let skipping = false; // inside the tail of a truncated line
+  const cap = (line) => line.slice(0, maxLength) + ` …[truncated, line longer than ${maxLength} chars]`;
+  const emit = (line) => {
+    if (line.endsWith('\r')) line = line.slice(0, -1);
+    onLine(line.length > maxLength ? cap(line) : line);
+  };
+  return {
+    write(chunk) {
+      const parts = (pending + decoder.write(chunk)).split('\n');
+      pending = parts.pop();
+      for (const part of parts) {
+        if (skipping) skipping = false;
+        else emit(part);
+      }
+      if (pending.length > maxLength) {
+        if (!skipping) onLine(cap(pending));
+        skipping = true;
+        pending = '';
+      }
+    },
+    end() {
+      const rest = pending + decoder.end();
+      pending = '';
+      if (rest && !skipping) emit(rest);
+      skipping = false;
+    }
+  };
+}
+
+// Crash restarts back off exponentially from initialDelayMs up to maxDelayMs.
+// An app that crashes maxCrashes times within windowMs is considered to be in
+// a crash loop: it is no longer restarted and stays errored until reset. An
+// instance that stayed up for stableMs starts again from the initial delay.
+// With unhealthyThreshold set, an instance that is still running but failed
+// that many liveness checks in a row is restarted too, once it has been up
+// for unhealthyGraceMs (off by default).
+export const DEFAULT_RESTART_POLICY = { initialDelayMs: 1000, maxDelayMs: 30000, maxCrashes: 5, windowMs: 5 * 60 * 1000, stableMs: 60 * 1000, unhealthyThreshold: 0, unhealthyGraceMs: 60 * 1000 };
+
+// Delay before restart `attempt` (1-based). Half of it is random ("equal
+// jitter"), so apps that crashed together don't all come back at once.
+function restartDelay(policy, attempt) {
+  const base = Math.min(policy.maxDelayMs, policy.initialDelayMs * 2 ** (attempt - 1));
+  return Math.round(base / 2 + Math.random() * base / 2);
+}
+
+// True while the child, or on POSIX any process left in its group, is alive
+function treeAlive(child) {
+  if (child.exitCode === null && child.signalCode === null) return true;
+  if (process.platform === 'win32' || !child.pid) return false;
+  try { process.kill(-child.pid, 0); return true; } catch { return false; }
+}
 
 export class AppManager extends EventEmitter {
   constructor(options) {
     super();
     this.apps = new Map(); // host -> app config
-    this.children = new Map(); // host -> child process
+    this.children = new Map(); // instance key -> child process
     this.logBuffers = new Map(); // host -> ring buffer array
     this.maxLogs = options?.maxLogs || 500;
+    this.maxLineLength = options?.maxLineLength || 16 * 1024; // longer output lines are truncated
     this.configPath = options?.configPath;
     this.rawConfig = null; // original JSON object
-  this.startTimes = new Map(); // host -> timestamp
-  this.restartCounts = new Map(); // host -> number
-  this.healthState = new Map(); // host -> { healthy, statusCode, lastChecked, error }
+  this.startTimes = new Map(); // instance key -> timestamp
+  this.restartCounts = new Map(); // instance key -> number
+  this.unhealthyRestarts = new Map(); // instance key -> restarts after failed liveness checks
+  this.crashStreaks = new Map(); // instance key -> crashes since it last stayed up for stableMs
+  this.crashTimes = new Map(); // host -> timestamps of crashes within the policy window
+  this.errored = new Map(); // host -> { reason, since, crashes, windowMs, code, signal } once restarts stopped
+  this.restartPolicy = { ...DEFAULT_RESTART_POLICY, ...options?.restartPolicy };
+  this.dependencyTimeoutMs = options?.dependencyTimeoutMs ?? 60000; // how long dependents wait for a dependency to be ready
+  this.healthState = new Map(); // host -> { healthy, statusCode, latencyMs, lastChecked, error, successes, failures }
+  this.healthLog = new Map(); // host -> recent probe results, oldest first
+  this.healthLogSize = options?.healthHistorySize || 100;
+  this.upstreamHealth = new Map(); // host -> Map(upstream key -> { healthy, statusCode, lastChecked, error })
   this.healthIntervals = new Map(); // host -> interval id
   this.defaultHealthInterval = options?.healthIntervalMs || 15000; // Increased from 5s to 15s
-  this.manualStops = new Set(); // hosts intentionally stopped by user
+  this.manualStops = new WeakSet(); // child processes intentionally stopped by user
+  this.instancePorts = new Map(); // instance key -> live port when moved by a reload
+  this.reloading = new Set(); // hosts with a blue/green reload in progress
+  this.activeConnections = null; // optional (host, port) -> in-flight count, provided by the gateway
+  this.starting = new Set(); // hosts spawned but not yet reported healthy
+  this.pendingRestarts = new Set(); // hosts with a crash restart scheduled
+  this.startupProbes = new Set(); // hosts with a fast health poll running
+  this.lastActivity = new Map(); // host -> timestamp of last proxied request
+  this.idleStopped = new Set(); // on-demand hosts stopped for being idle
+  this.exiting = new Map(); // host -> promise settled once stopped processes are gone
+  this.shuttingDown = false; // set by shutdown(); blocks starts and crash restarts
+  this.spawned = new Set(); // every child spawned, until killAll() finds its process tree gone
+  // Optional LogStore: every app-log entry is also written to disk
+  this.logStore = options?.logStore || null;
+  if (this.logStore) {
+    this.on('app-log', (e) => {
+      const entry = { ts: e.ts || Date.now(), stream: e.stream, line: e.line };
+      if (e.instance) entry.instance = e.instance;
+      try { this.logStore.append(e.host.toLowerCase(), entry); } catch (err) { console.error('[logs] append failed:', err.message); }
+    });
+  }
+  // On-demand apps are stopped after idleTimeoutMs without traffic
+  this.idleTimer = setInterval(() => this._sweepIdle(), options?.idleSweepMs || 15000);
+  this.idleTimer.unref?.();
+  // CPU/memory of each instance's process tree, sampled from /proc on Linux
+  this.usage = new Map(); // instance key -> { pid, ticks, ts, cpu, memoryMb, history: [{ ts, cpu, memoryMb }] }
+  this.usageHistory = options?.usageHistory || 60; // samples kept per instance
+  this.sampleIntervalMs = options?.sampleIntervalMs || 5000;
+  if (usageSupported) {
+    this.sampleTimer = setInterval(() => this._sampleUsage(), this.sampleIntervalMs);
+    this.sampleTimer.unref?.();
+  }
   }
 
   loadConfig(obj) {
+    assertValid(validateConfig(obj), 'config');
     this.rawConfig = obj;
     (obj.apps || []).forEach(app => {
       if (app && app.host) this.apps.set(app.host.toLowerCase(), { ...app });
     });
+    for (const key of this.apps.keys()) this._scheduleHealth(key);
     this.emit('config-loaded', { appCount: this.apps.size });
   }
 
   listApps() { return Array.from(this.apps.values()); }
   getApp(host) { return this.apps.get(host.toLowerCase()); }
 
-  addApp(app) {
+  // opts.persist === false skips writing the config file (used when applying on-disk edits)
+  addApp(app, opts = {}) {
     if (!app || !app.host) throw new Error('host required');
+    assertValid(validateApp(app), 'app');
     const key = app.host.toLowerCase();
     if (this.apps.has(key)) throw new Error('host already exists');
+    // On-disk edits were validated as a whole (apps may name each other in any order)
+    if (opts.persist !== false) assertValid(dependencyErrors([...this.listApps(), app]), 'app');
     this.apps.set(key, { ...app });
-    this._persist();
+    if (opts.persist !== false) this._persist();
     this.emit('app-added', { host: key, app });
-    if (app.start) this.start(key);
+    if (app.start && !app.onDemand) this.start(key);
     this._scheduleHealth(key);
     return this.getApp(key);
   }
 
-  updateApp(host, partial) {
+  // opts.replace swaps in `partial` as the whole entry instead of merging it
+  updateApp(host, partial, opts = {}) {
     const key = host.toLowerCase();
-    if (!this.apps.has(key)) throw new Error('not found');
-    const merged = { ...this.apps.get(key), ...partial };
+    const previous = this.apps.get(key);
+    if (!previous) throw new Error('not found');
+    const merged = opts.replace ? { ...partial } : { ...previous, ...partial };
+    assertValid(validateApp(merged), 'app');
+    if (opts.persist !== false) assertValid(dependencyErrors(this.listApps().map(a => (a.host.toLowerCase() === key ? merged : a))), 'app');
     this.apps.set(key, merged);
-    this._persist();
-    this.emit('app-updated', { host: key, app: merged });
-  // Reschedule health if interval or healthUrl changed
+    if (opts.persist !== false) this._persist();
+    this.emit('app-updated', { host: key, app: merged, previous });
+    // A changed config (new start command, env, ...) deserves a fresh try
+    if (this.errored.has(key)) this._clearCrashes(key);
+  // Reschedule health if the interval or the probe changed
   this._clearHealth(key);
   this._scheduleHealth(key);
     return merged;
   }
 
-  removeApp(host) {
+  removeApp(host, opts = {}) {
     const key = host.toLowerCase();
     const app = this.apps.get(key);
     if (!app) throw new Error('not found');
+    const dependents = opts.persist !== false ? dependentsOf(this.listApps(), key) : [];
+    if (dependents.length) throw new Error(`${dependents.join(', ')} depend(s) on this app; remove it from their dependsOn first`);
     this.stop(key, { restart: false });
     this.apps.delete(key);
   this._clearHealth(key);
-    this._persist();
+    this.healthLog.delete(key);
+    this._clearCrashes(key);
+    if (opts.persist !== false) this._persist();
     this.emit('app-removed', { host: key });
     return true;
   }
 
-  // Check for port conflicts before starting
+  // Check for port conflicts before starting (multi-instance apps occupy a port range)
   _checkPortConflicts(app) {
     if (!app.port) return true;
-    const conflicting = this.listApps().filter(other => 
-      other.host !== app.host && 
-      other.port === app.port && 
-      this.children.has(other.host.toLowerCase())
-    );
+    const lo = Number(app.port);
+    const hi = lo + instanceCount(app) - 1;
+    const conflicting = this.listApps().filter(other => {
+      if (other.host === app.host || !other.port) return false;
+      if (!this.isRunning(other.host)) return false;
+      const olo = Number(other.port);
+      const ohi = olo + instanceCount(other) - 1;
+      return olo <= hi && lo <= ohi;
+    });
     if (conflicting.length > 0) {
       this.emit('app-log', { host: app.host, stream: 'stderr', line: `[port-conflict] Port ${app.port} already used by: ${conflicting.map(a => a.host).join(', ')}` });
       return false;
@@ -84,15 +237,36 @@ export class AppManager extends EventEmitter {
     return true;
   }
 
+  isRunning(host) {
+    const key = host.toLowerCase();
+    const app = this.apps.get(key);
+    const count = instanceCount(app);
+    for (let i = 0; i < count; i++) if (this.children.has(instanceKey(key, i))) return true;
+    return false;
+  }
+
   start(host) {
     const key = host.toLowerCase();
     const app = this.apps.get(key);
     if (!app) throw new Error('not found');
     if (!app.start) throw new Error('start command missing');
   if (app.disabled) throw new Error('app disabled');
-    if (this.children.has(key)) return { already: true };
-    if (!this._checkPortConflicts(app)) throw new Error('port conflict');
+    if (this.errored.has(key)) throw new Error('app is in a crash loop; reset it to start again');
+    if (this.shuttingDown) throw new Error('gateway is shutting down');
+    // Only instances that are not running yet get spawned (crash restarts rely on this)
+    const pending = [];
+    for (let i = 0; i < instanceCount(app); i++) if (!this.children.has(instanceKey(key, i))) pending.push(i);
+    if (!pending.length) return { already: true };
+    if (!this.isRunning(key) && !this._checkPortConflicts(app)) throw new Error('port conflict');
 
+    const { cmd, args } = this._resolveCommand(key, app);
+    const pids = pending.map(i => this._spawnInstance(key, app, i, cmd, args));
+    if (instanceCount(app) === 1) return { started: true, pid: pids[0] };
+    return { started: true, pid: pids[0], pids, instances: pending };
+  }
+
+  // Prepare the app directory and turn its start command into cmd + args
+  _resolveCommand(key, app) {
     // Optional auto-install: if package.json exists and node_modules missing, run npm install
     try {
       const pkgPath = path.join(app.cwd || '.', 'package.json');
@@ -138,13 +312,22 @@ export class AppManager extends EventEmitter {
     }
     const parts = startStr.match(/(?:"[^"]+"|'[^']+'|\S+)/g) || [];
     const cleaned = parts.map(p => p.replace(/^['"]|['"]$/g, ''));
-    const cmd = cleaned[0];
-    const args = cleaned.slice(1);
+    return { cmd: cleaned[0], args: cleaned.slice(1) };
+  }
+
+  _spawnInstance(key, app, index, cmd, args, opts = {}) {
+    const id = instanceKey(key, index);
     const wantShell = app.shell === true; // allow explicit opt-in
     let child;
+    // Each instance learns its port and index the same way PM2 cluster workers do
+    const port = opts.port || this.activePort(key, index);
     const spawnOptsBase = {
       cwd: app.cwd,
-      env: { ...process.env, NODE_ENV: process.env.NODE_ENV || 'production' }
+      env: buildAppEnv(app, {
+        port,
+        instance: index,
+        onWarn: (msg) => this.emit('app-log', { host: key, stream: 'stderr', line: `[env] ${msg}` })
+      })
     };
     // Ensure Node install dir is on PATH (helps find npm.cmd when service/user PATH trimmed)
     try {
@@ -153,10 +336,15 @@ export class AppManager extends EventEmitter {
         spawnOptsBase.env.PATH = nodeDir + path.delimiter + spawnOptsBase.env.PATH;
       }
     } catch {}
+    const tag = instanceCount(app) > 1 ? ` [#${index}${port ? ` port=${port}` : ''}]` : '';
     const needsShellAuto = /^(npm|yarn|pnpm)(\.cmd)?$/i.test(cmd);
     const doSpawn = (useShell) => {
-      this.emit('app-log', { host: key, stream: 'stdout', line: `[spawn] ${cmd} ${args.join(' ')} (shell=${useShell}) cwd=${app.cwd}` });
-      return spawn(cmd, args, { ...spawnOptsBase, shell: useShell, windowsHide: process.platform === 'win32' });
+      this.emit('app-log', { host: key, stream: 'stdout', line: `[spawn]${tag} ${cmd} ${args.join(' ')} (shell=${useShell}) cwd=${app.cwd}` });
+      // detached (POSIX only) puts the child in its own process group so stop() can signal the whole tree
+      const c = spawn(cmd, args, { ...spawnOptsBase, shell: useShell, windowsHide: process.platform === 'win32', detached: process.platform !== 'win32' });
+      for (const old of this.spawned) if (!treeAlive(old)) this.spawned.delete(old);
+      this.spawned.add(c);
+      return c;
     };
     try {
       child = doSpawn(wantShell || needsShellAuto);
@@ -173,10 +361,10 @@ export class AppManager extends EventEmitter {
         this.emit('app-log', { host: key, stream: 'stderr', line: `Shell spawn failed (${err.message}); retrying without shell` });
         try {
           const retry = doSpawn(false);
-          this.children.set(key, retry);
-          this._wireChild(key, app, retry);
+          this.children.set(id, retry);
+          this._wireChild(key, app, retry, index);
         } catch (e2) {
-          this.emit('app-exit', { host: key, code: -1, signal: null, error: e2.message });
+          this.emit('app-exit', { host: key, instance: index, code: -1, signal: null, error: e2.message });
         }
       }
       // Additional Windows fallback for npm: invoke npm-cli.js directly via node if still ENOENT
@@ -186,96 +374,691 @@ export class AppManager extends EventEmitter {
           if (fs.existsSync(npmCli)) {
             this.emit('app-log', { host: key, stream: 'stderr', line: `[spawn-fallback] using node ${npmCli}` });
             const retry = spawn(process.execPath, [npmCli, ...args], { cwd: app.cwd, env: spawnOptsBase.env, windowsHide: process.platform === 'win32' });
-            this.children.set(key, retry);
-            this._wireChild(key, app, retry);
+            this.spawned.add(retry);
+            this.children.set(id, retry);
+            this._wireChild(key, app, retry, index);
           }
         } catch (e3) {
           this.emit('app-log', { host: key, stream: 'stderr', line: `[spawn-fallback-error] ${e3.message}` });
         }
       }
     });
-    this.children.set(key, child);
-  this.startTimes.set(key, Date.now());
-  if (!this.restartCounts.has(key)) this.restartCounts.set(key, 0);
-    this.emit('app-start', { host: key, pid: child.pid });
-
-    const appendLog = (line, stream) => {
-      if (!this.logBuffers.has(key)) this.logBuffers.set(key, []);
-      const buf = this.logBuffers.get(key);
-      buf.push({ ts: Date.now(), stream, line: line.toString() });
-      if (buf.length > this.maxLogs) buf.splice(0, buf.length - this.maxLogs);
-      this.emit('app-log', { host: key, stream, line: line.toString() });
-    };
+    // Standby children (blue/green reload) are only registered once healthy
+    if (opts.standby) {
+      this._wireChild(key, app, child, index);
+      return child;
+    }
+    const firstUp = !this.isRunning(key);
+    if (firstUp) {
+      this.idleStopped.delete(key);
+      this.lastActivity.set(key, Date.now()); // idle time counts from start
+    }
+    this.children.set(id, child);
+  this.startTimes.set(id, Date.now());
+  if (!this.restartCounts.has(id)) this.restartCounts.set(id, 0);
+    if (firstUp && hasHealthCheck(app)) {
+      // Health from before this start no longer applies; requests are held until the new process answers
+      this.starting.add(key);
+      this._setHealth(key, { healthy: false, statusCode: 0, lastChecked: Date.now(), error: 'starting' });
+      this.probeUntilHealthy(key);
+    }
+    this.emit('app-start', { host: key, instance: index, pid: child.pid });
 
-    this._wireChild(key, app, child);
-    return { started: true, pid: child.pid };
+    this._wireChild(key, app, child, index);
+    return child.pid;
   }
 
-  _wireChild(key, app, child) {
+  _wireChild(key, app, child, index = 0) {
+    const id = instanceKey(key, index);
     const appendLog = (line, stream) => {
       if (!this.logBuffers.has(key)) this.logBuffers.set(key, []);
       const buf = this.logBuffers.get(key);
-      buf.push({ ts: Date.now(), stream, line: line.toString() });
+      const entry = { ts: Date.now(), stream, line };
+      if (index) entry.instance = index;
+      buf.push(entry);
       if (buf.length > this.maxLogs) buf.splice(0, buf.length - this.maxLogs);
-      this.emit('app-log', { host: key, stream, line: line.toString() });
+      this.emit('app-log', { host: key, ...entry });
     };
-    child.stdout?.on('data', d => appendLog(d, 'stdout'));
-    child.stderr?.on('data', d => appendLog(d, 'stderr'));
+    // One log entry per output line, whatever the chunking of the pipe
+    for (const stream of ['stdout', 'stderr']) {
+      if (!child[stream]) continue;
+      const splitter = lineSplitter(line => appendLog(line, stream), this.maxLineLength);
+      child[stream].on('data', d => splitter.write(d));
+      child[stream].on('end', () => splitter.end());
+    }
+    // Restarts are counted from the last time the instance ran stably
+    const stableTimer = setTimeout(() => {
+      if (this.children.get(id) === child) this.restartCounts.set(id, 0);
+    }, this.restartPolicyFor(app).stableMs);
+    stableTimer.unref?.();
     child.on('exit', (code, signal) => {
-      this.children.delete(key);
-      this.emit('app-exit', { host: key, code, signal });
-      const wasManual = this.manualStops.has(key);
-      if (wasManual) this.manualStops.delete(key);
+      clearTimeout(stableTimer);
+      const wasManual = this.manualStops.has(child);
+      // A replaced child (spawn fallback, or the old side of a reload) must not
+      // clear or restart its successor; a standby that never went live neither
+      if (this.children.get(id) !== child && !wasManual) {
+        this.emit('app-log', { host: key, stream: 'stdout', line: `[exit] replaced process ${child.pid} exited (code ${code})` });
+        return;
+      }
+      if (this.children.get(id) === child) this.children.delete(id);
+      if (!this.isRunning(key)) {
+        this.starting.delete(key);
+        if (hasHealthCheck(app)) this._setHealth(key, { healthy: false, statusCode: 0, lastChecked: Date.now(), error: 'process exited' });
+      }
       // Don't auto-restart on clean exit (code 0) unless it was unexpected
-      const shouldRestart = !wasManual && app.autoRestart !== false && !app.disabled && code !== 0;
+      const shouldRestart = !wasManual && !this.shuttingDown && app.autoRestart !== false && !app.disabled && code !== 0 &&
+        !this.errored.has(key) && !this._recordCrash(key, id, app, code, signal);
       if (shouldRestart) {
-        this.restartCounts.set(key, (this.restartCounts.get(key) || 0) + 1);
-        const restarts = this.restartCounts.get(key);
-        // Back off restart delay if too many failures
-        const delay = Math.min(2000 + (restarts * 1000), 30000);
-        this.emit('app-log', { host: key, stream: 'stderr', line: `[restart] attempt ${restarts} in ${delay}ms` });
-        setTimeout(() => { if (this.apps.has(key)) this.start(key); }, delay);
+        this.restartCounts.set(id, (this.restartCounts.get(id) || 0) + 1);
+        const attempt = this.crashStreaks.get(id);
+        const delay = restartDelay(this.restartPolicyFor(app), attempt);
+        const tag = index ? ` (instance #${index})` : '';
+        this.emit('app-log', { host: key, stream: 'stderr', line: `[restart]${tag} attempt ${attempt} in ${delay}ms` });
+        this.pendingRestarts.add(key);
+        // start() only spawns the instances that are missing
+        setTimeout(() => {
+          this.pendingRestarts.delete(key);
+          if (!this.apps.has(key) || this.errored.has(key)) return;
+          try { this.start(key); } catch (e) { this.emit('app-log', { host: key, stream: 'stderr', line: `[restart] failed: ${e.message}` }); }
+        }, delay);
       } else if (code === 0) {
         this.emit('app-log', { host: key, stream: 'stdout', line: '[exit] clean exit (code 0) - not restarting' });
       }
+      // A memory-limit restart of this instance also counts as restarting
+      // `stopped` tells deliberate stops (stop, restart, memory limit) apart from crashes
+      this.emit('app-exit', { host: key, instance: index, code, signal, stopped: wasManual, restarting: shouldRestart || this.pendingRestarts.has(key) });
     });
   }
 
+  // Effective restart policy: the app's restartPolicy over the gateway-wide one
+  restartPolicyFor(app) {
+    return { ...this.restartPolicy, ...(app?.restartPolicy || {}) };
+  }
+
+  // Count a crash of instance `id`. Returns true when it completes a crash
+  // loop, in which case the app is marked errored instead of restarted.
+  _recordCrash(key, id, app, code, signal) {
+    const policy = this.restartPolicyFor(app);
+    const now = Date.now();
+    const started = this.startTimes.get(id) || now;
+    const stable = now - started >= policy.stableMs;
+    this.crashStreaks.set(id, stable ? 1 : (this.crashStreaks.get(id) || 0) + 1);
+    const crashes = (this.crashTimes.get(key) || []).filter(t => now - t < policy.windowMs);
+    crashes.push(now);
+    this.crashTimes.set(key, crashes);
+    if (crashes.length < policy.maxCrashes) return false;
+    this.errored.set(key, { reason: 'crashloop', since: now, crashes: crashes.length, windowMs: policy.windowMs, code, signal });
+    this.emit('app-log', { host: key, stream: 'stderr', line: `[crashloop] ${crashes.length} crashes within ${Math.round(policy.windowMs / 1000)}s; not restarting until the app is reset` });
+    this.emit('app-crashloop', { host: key, crashes: crashes.length, windowMs: policy.windowMs, code, signal });
+    return true;
+  }
+
+  _clearCrashes(key) {
+    this.errored.delete(key);
+    this.crashTimes.delete(key);
+    for (const id of this.crashStreaks.keys()) {
+      if (id === key || id.startsWith(`${key}#`)) this.crashStreaks.delete(id);
+    }
+    for (const id of this.restartCounts.keys()) {
+      if (id === key || id.startsWith(`${key}#`)) this.restartCounts.set(id, 0);
+    }
+  }
+
+  // Leave the errored (crash loop) state and start the app again
+  reset(host) {
+    const key = host.toLowerCase();
+    const app = this.apps.get(key);
+    if (!app) throw new Error('not found');
+    const wasErrored = this.errored.has(key);
+    this._clearCrashes(key);
+    this.emit('app-reset', { host: key, wasErrored });
+    if (wasErrored && app.start && !app.disabled && !app.onDemand) return { reset: true, ...this.start(key) };
+    return { reset: wasErrored };
+  }
+
   stop(host, opts = {}) {
     const key = host.toLowerCase();
-    const child = this.children.get(key);
-    if (!child) return { running: false };
-  this.manualStops.add(key); // mark manual stop
-    child.kill();
-    this.children.delete(key);
+    const app = this.apps.get(key);
+    const ids = [];
+    for (let i = 0; i < Math.max(instanceCount(app), this._maxInstanceIndex(key) + 1); i++) {
+      if (this.children.has(instanceKey(key, i))) ids.push(instanceKey(key, i));
+    }
+    if (!ids.length) return { running: false };
+    this.starting.delete(key);
+    const stopTimeoutMs = app?.stopTimeoutMs ?? 5000;
+    const exits = [];
+    for (const id of ids) {
+      const child = this.children.get(id);
+  this.manualStops.add(child); // mark manual stop
+      exits.push(this._terminate(key, child, stopTimeoutMs));
+      this.children.delete(id);
+      this.instancePorts.delete(id); // a fresh start goes back to the configured port
+    }
+    const exited = Promise.all([this.exiting.get(key), ...exits]).then(() => {
+      if (this.exiting.get(key) === exited) this.exiting.delete(key);
+    });
+    this.exiting.set(key, exited);
     this.emit('app-stop', { host: key });
     if (opts.restart) {
-      setTimeout(() => this.start(key), 500);
+      exited.then(() => this.start(key)).catch(e => this.emit('app-log', { host: key, stream: 'stderr', line: `[restart] failed: ${e.message}` }));
     }
     return { stopped: true };
   }
 
-  restart(host) {
+  // SIGTERM the child's process tree, escalating to SIGKILL after timeoutMs.
+  // Resolves once the tree is gone (or shortly after the SIGKILL).
+  _terminate(key, child, timeoutMs = 5000) {
+    return new Promise(resolve => {
+      const began = Date.now();
+      let forced = false;
+      killTree(child, 'SIGTERM');
+      const check = () => {
+        if (!treeAlive(child)) return resolve();
+        const waited = Date.now() - began;
+        if (!forced && waited >= timeoutMs) {
+          forced = true;
+          this.emit('app-log', { host: key, stream: 'stderr', line: `[stop] process tree of pid ${child.pid} still running ${timeoutMs}ms after SIGTERM; sending SIGKILL` });
+          killTree(child, 'SIGKILL');
+        }
+        if (forced && waited >= timeoutMs + 2000) return resolve();
+        setTimeout(check, 100);
+      };
+      setTimeout(check, 50);
+    });
+  }
+
+  // Last resort for a gateway that exits without shutdown() (an uncaught
+  // error, process.exit elsewhere): apps run in their own process groups and
+  // would outlive it, holding their ports. Synchronous so it works from
+  // process.on('exit'); on Windows the children are not detached.
+  killAll(signal = 'SIGKILL') {
+    for (const child of this.spawned) {
+      if (treeAlive(child)) killTree(child, signal);
+    }
+    this.spawned.clear();
+  }
+
+  // Resolves once processes stopped for `host` have exited
+  waitStopped(host) {
+    return this.exiting.get(host.toLowerCase()) || Promise.resolve();
+  }
+
+  // Stop every app (graceful per stopTimeoutMs) and resolve once all process
+  // trees are gone. No app is started or restarted afterwards.
+  async shutdown() {
+    this.shuttingDown = true;
+    clearInterval(this.idleTimer);
+    clearInterval(this.sampleTimer);
+    this.unwatchConfig();
+    for (const id of this.healthIntervals.values()) clearInterval(id);
+    this.healthIntervals.clear();
+    // Dependents go first so nothing loses a dependency while still running
+    await this.stopApps(Array.from(this.apps.keys()));
+    await Promise.all(Array.from(this.exiting.values()));
+    await this.logStore?.close();
+  }
+
+  // Start `hosts` and everything they depend on. An app is started once all
+  // of its dependencies are ready (health check, or accepting connections on its
+  // port); apps that don't depend on each other start side by side. A
+  // dependency that is not ready within dependencyTimeoutMs is logged and its
+  // dependents are started anyway. On-demand apps are left to start on request.
+  async startApps(hosts) {
+    const apps = this.listApps();
+    const wanted = dependencyClosure(apps, hosts);
+    const order = dependencyOrder(apps).filter(h => wanted.has(h));
+    const ready = new Map(); // host -> promise settled once the app is ready or given up on
+    const started = [];
+    for (const key of order) {
+      const app = this.apps.get(key);
+      const deps = dependsOn(app).filter(d => ready.has(d));
+      ready.set(key, Promise.all(deps.map(d => ready.get(d))).then(async () => {
+        if (!app.disabled && app.start && !app.onDemand && !this.isRunning(key)) {
+          if (deps.length) this.emit('app-log', { host: key, stream: 'stdout', line: `[depends] ${deps.join(', ')} ready; starting` });
+          try { this.start(key); started.push(key); }
+          catch (e) { this.emit('app-log', { host: key, stream: 'stderr', line: `[depends] start failed: ${e.message}` }); return; }
+        }
+        // Only what something else waits for needs to be checked
+        if (!order.some(h => dependsOn(this.apps.get(h)).includes(key))) return;
+        if (app.disabled || (app.onDemand && !this.isRunning(key)) || (!hasHealthCheck(app) && !app.port)) return;
+        if (!(await this.waitReady(key, this.dependencyTimeoutMs))) {
+          this.emit('app-log', { host: key, stream: 'stderr', line: `[depends] not ready after ${Math.round(this.dependencyTimeoutMs / 1000)}s; starting its dependents anyway` });
+        }
+      }));
+    }
+    await Promise.all(ready.values());
+    return { order, started };
+  }
+
+  // Stop `hosts`, dependents first: an app is stopped once every app in the
+  // set that depends on it has exited
+  async stopApps(hosts) {
+    const set = new Set(hosts.map(h => h.toLowerCase()));
+    const order = dependencyOrder(this.listApps()).filter(h => set.has(h)).reverse();
+    const stopped = new Map(); // host -> promise settled once its processes are gone
+    for (const key of order) {
+      const before = order.filter(h => stopped.has(h) && dependsOn(this.apps.get(h)).includes(key));
+      stopped.set(key, Promise.all(before.map(h => stopped.get(h))).then(() => {
+        this.stop(key);
+        return this.waitStopped(key);
+      }));
+    }
+    await Promise.all(stopped.values());
+    return { order };
+  }
+
+  // Every app at boot (in dependency order)
+  startAll() {
+    return this.startApps(this.listApps().map(a => a.host));
+  }
+
+  // group name -> member hosts, in config order
+  groups() {
+    const out = new Map();
+    for (const [key, app] of this.apps) {
+      if (!app.group) continue;
+      if (!out.has(app.group)) out.set(app.group, []);
+      out.get(app.group).push(key);
+    }
+    return out;
+  }
+
+  _groupMembers(name) {
+    const members = this.groups().get(name);
+    if (!members) throw new Error(`group not found: ${name}`);
+    return members;
+  }
+
+  // Members of the group plus whatever they depend on outside it
+  async startGroup(name) {
+    return { group: name, ...(await this.startApps(this._groupMembers(name))) };
+  }
+
+  // Only the group's members; apps outside it keep running
+  async stopGroup(name) {
+    return { group: name, ...(await this.stopApps(this._groupMembers(name))) };
+  }
+
+  // Highest instance index with a live child (covers instances left over after
+  // the `instances` setting was lowered)
+  _maxInstanceIndex(key) {
+    let max = 0;
+    for (const id of this.children.keys()) {
+      if (id === key) continue;
+      if (id.startsWith(key + '#')) max = Math.max(max, parseInt(id.slice(key.length + 1), 10) || 0);
+    }
+    return max;
+  }
+
+  // Waits for the old processes to exit so the replacements can bind the same ports
+  async restart(host) {
     const key = host.toLowerCase();
-    const wasRunning = this.children.has(key);
+    const wasRunning = this.isRunning(key);
     this.stop(key);
+    await this.waitStopped(key);
     return this.start(key) || { restarted: wasRunning };
   }
 
+  // Record proxied traffic for a host (drives idle shutdown of on-demand apps)
+  touch(host) {
+    this.lastActivity.set(host.toLowerCase(), Date.now());
+  }
+
+  _sweepIdle() {
+    const now = Date.now();
+    for (const [key, app] of this.apps) {
+      if (!app.onDemand || !this.isRunning(key) || this.reloading.has(key)) continue;
+      const idleMs = app.idleTimeoutMs || 15 * 60 * 1000;
+      const last = this.lastActivity.get(key) || 0;
+      if (now - last < idleMs) continue;
+      // Long-lived connections (e.g. WebSockets) keep the app awake
+      if (typeof this.activeConnections === 'function') {
+        let open = 0;
+        for (let i = 0; i < instanceCount(app); i++) open += this.activeConnections(key, this.activePort(key, i)) || 0;
+        if (open) continue;
+      }
+      this.emit('app-log', { host: key, stream: 'stdout', line: `[idle] no traffic for ${Math.round((now - last) / 1000)}s; stopping until next request` });
+      this.stop(key);
+      this.idleStopped.add(key);
+      this.emit('app-idle', { host: key, lastActivity: last });
+    }
+  }
+
+  // Record CPU% and RSS for every running instance and restart instances whose
+  // tree uses more than app.maxMemoryMb
+  async _sampleUsage() {
+    if (this.sampling) return;
+    this.sampling = true;
+    try {
+      const live = Array.from(this.children).filter(([, child]) => child.pid);
+      const trees = await sampleTrees(live.map(([, child]) => child.pid));
+      const now = Date.now();
+      for (const id of this.usage.keys()) if (!this.children.has(id)) this.usage.delete(id);
+      for (const [id, child] of live) {
+        const tree = trees.get(child.pid);
+        if (!tree || this.children.get(id) !== child) continue;
+        let u = this.usage.get(id);
+        if (!u) { u = { history: [] }; this.usage.set(id, u); }
+        // CPU% needs two samples of the same process
+        const cpu = u.pid === child.pid && now > u.ts
+          ? Math.max(0, Math.round(((tree.ticks - u.ticks) / CLK_TCK) / ((now - u.ts) / 1000) * 1000) / 10)
+          : null;
+        Object.assign(u, { pid: child.pid, ticks: tree.ticks, ts: now, cpu, memoryMb: Math.round(tree.rssBytes / 1024 / 1024 * 10) / 10 });
+        u.history.push({ ts: now, cpu, memoryMb: u.memoryMb });
+        if (u.history.length > this.usageHistory) u.history.splice(0, u.history.length - this.usageHistory);
+      }
+      for (const [id, child] of live) this._checkMemory(id, child);
+    } catch (e) {
+      console.error('[usage] sampling failed:', e.message);
+    } finally {
+      this.sampling = false;
+    }
+  }
+
+  _checkMemory(id, child) {
+    const hash = id.lastIndexOf('#');
+    const key = hash > 0 ? id.slice(0, hash) : id;
+    const index = hash > 0 ? parseInt(id.slice(hash + 1), 10) : 0;
+    const app = this.apps.get(key);
+    const u = this.usage.get(id);
+    if (!app?.maxMemoryMb || !u || u.memoryMb <= app.maxMemoryMb) return;
+    if (this.shuttingDown || this.reloading.has(key) || this.children.get(id) !== child) return;
+    const tag = index ? ` (instance #${index})` : '';
+    this.emit('app-log', { host: key, stream: 'stderr', line: `[memory]${tag} using ${u.memoryMb}MB, over maxMemoryMb ${app.maxMemoryMb}; restarting` });
+    this.emit('app-memory-limit', { host: key, instance: index, memoryMb: u.memoryMb, maxMemoryMb: app.maxMemoryMb });
+    this._restartInstance(key, index);
+  }
+
+  // Stop one instance and start it again once its tree has exited. Requests
+  // are held meanwhile, as for a crash restart. `counts` is the counter the
+  // restart is added to.
+  _restartInstance(key, index, counts = this.restartCounts) {
+    const app = this.apps.get(key);
+    const id = instanceKey(key, index);
+    const child = this.children.get(id);
+    if (!app || !child) return;
+    counts.set(id, (counts.get(id) || 0) + 1);
+    this.manualStops.add(child); // the exit handler must not schedule a crash restart as well
+    this.children.delete(id);
+    this.instancePorts.delete(id);
+    this.usage.delete(id);
+    this.pendingRestarts.add(key);
+    const exited = Promise.all([this.exiting.get(key), this._terminate(key, child, app.stopTimeoutMs ?? 5000)]).then(() => {
+      if (this.exiting.get(key) === exited) this.exiting.delete(key);
+    });
+    this.exiting.set(key, exited);
+    // start() spawns every missing instance, so wait for any other instance being replaced too
+    exited.then(() => this.waitStopped(key)).then(() => {
+      this.pendingRestarts.delete(key);
+      if (this.apps.get(key) !== app || app.disabled || this.shuttingDown) return;
+      this.start(key);
+    }).catch(e => this.emit('app-log', { host: key, stream: 'stderr', line: `[restart] failed: ${e.message}` }));
+  }
+
+  // Resolves once the app passes its startup probe (or accepts connections on
+  // its port when it has no health check)
+  waitReady(host, timeoutMs = 15000) {
+    const key = host.toLowerCase();
+    const app = this.apps.get(key);
+    if (!app) return Promise.resolve(false);
+    return this._waitReady(app, this.activePort(key, 0), timeoutMs);
+  }
+
+  // Port an instance currently serves on (moves between `port` and its
+  // alternate with every blue/green reload)
+  activePort(host, index = 0) {
+    const key = host.toLowerCase();
+    const app = this.apps.get(key);
+    if (!app) return undefined;
+    return this.instancePorts.get(instanceKey(key, index)) || instancePort(app, index);
+  }
+
+  // `url` re-pointed at the given port when it targets the app's own port
+  _healthUrlFor(app, port, url = app.healthUrl) {
+    if (!url || !port || !app.port) return url;
+    try {
+      const u = new URL(url);
+      const own = u.port || (u.protocol === 'https:' ? '443' : '80');
+      if (own !== String(app.port) || String(port) === own) return url;
+      u.port = String(port);
+      return u.toString();
+    } catch {
+      return url;
+    }
+  }
+
+  // Effective health probe of an app (see health-check.mjs); null without one
+  probeFor(host) {
+    return probeConfig(this.apps.get(host.toLowerCase()), { intervalMs: this.defaultHealthInterval });
+  }
+
+  // Run `probe` against the process listening on `port`: checks of the app's
+  // own port follow it (reloads move instances between ports), and exec
+  // probes get it as $PORT
+  _runProbe(app, probe, port) {
+    let p = probe;
+    if (port && app.port) {
+      if (probe.type === 'exec') p = { ...probe, env: { PORT: String(port) } };
+      else if (probe.type === 'tcp') p = String(probe.port) === String(app.port) ? { ...probe, port } : probe;
+      else p = { ...probe, url: this._healthUrlFor(app, port, probe.url) };
+    }
+    return runProbe(p, { cwd: app.cwd, env: p.env });
+  }
+
+  _recordHealth(key, result, extra = {}) {
+    let list = this.healthLog.get(key);
+    if (!list) { list = []; this.healthLog.set(key, list); }
+    list.push({ ts: result.lastChecked, ...extra, healthy: result.healthy, statusCode: result.statusCode, latencyMs: result.latencyMs, ...(result.error ? { error: result.error } : {}) });
+    if (list.length > this.healthLogSize) list.splice(0, list.length - this.healthLogSize);
+  }
+
+  // Recent probe results of a host, oldest first: { ts, phase, upstream?,
+  // healthy, statusCode, latencyMs, error? }. `healthy` is the result of that
+  // one check, not the state after the rise/fall thresholds.
+  healthHistory(host, { limit = 100 } = {}) {
+    return (this.healthLog.get(host.toLowerCase()) || []).slice(-limit);
+  }
+
+  async _waitReady(app, port, timeoutMs) {
+    const probe = probeConfig(app, { intervalMs: this.defaultHealthInterval });
+    const check = probe ? probe.startup : { type: 'tcp', host: '127.0.0.1', port, timeoutMs: 1000, intervalMs: 500 };
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      if ((await this._runProbe(app, check, port)).healthy) return true;
+      await new Promise(r => setTimeout(r, check.intervalMs));
+    }
+    return false;
+  }
+
+  // Blue/green reload: per instance, start a replacement on the alternate port,
+  // wait for it to pass its health check, switch traffic to it, then drain and
+  // stop the old process. Requires the app to listen on process.env.PORT.
+  async reload(host) {
+    const key = host.toLowerCase();
+    const app = this.apps.get(key);
+    if (!app) throw new Error('not found');
+    if (!app.start) throw new Error('start command missing');
+    if (app.disabled) throw new Error('app disabled');
+    if (!app.port) throw new Error('port required for zero-downtime reload');
+    if (!this.isRunning(key)) return this.start(key);
+    if (this.reloading.has(key)) throw new Error('reload already in progress');
+    this.reloading.add(key);
+    const offset = Number(app.reloadPortOffset) || 1000;
+    const timeoutMs = app.reloadTimeoutMs || 30000;
+    const drainMs = app.drainTimeoutMs || 10000;
+    const results = [];
+    try {
+      const { cmd, args } = this._resolveCommand(key, app);
+      for (let i = 0; i < instanceCount(app); i++) {
+        const id = instanceKey(key, i);
+        const oldChild = this.children.get(id);
+        const oldPort = this.activePort(key, i);
+        const basePort = instancePort(app, i);
+        const newPort = oldPort === basePort ? basePort + offset : basePort;
+        this.emit('app-log', { host: key, stream: 'stdout', line: `[reload] instance #${i}: starting replacement on port ${newPort}` });
+        const standby = this._spawnInstance(key, app, i, cmd, args, { port: newPort, standby: true });
+        const ready = await this._waitReady(app, newPort, timeoutMs);
+        if (!ready || standby.exitCode !== null) {
+          this._terminate(key, standby, app.stopTimeoutMs ?? 5000);
+          throw new Error(`replacement for instance #${i} failed its health check on port ${newPort}; old process kept`);
+        }
+        // Switch: the replacement becomes the live child for this instance
+        this.children.set(id, standby);
+        this.instancePorts.set(id, newPort);
+        this.startTimes.set(id, Date.now());
+        this.upstreamHealth.get(key)?.clear();
+        this.emit('app-start', { host: key, instance: i, pid: standby.pid, reload: true });
+        this.emit('app-upstream-changed', { host: key, instance: i, port: newPort, previousPort: oldPort });
+        this.emit('app-log', { host: key, stream: 'stdout', line: `[reload] instance #${i}: traffic switched ${oldPort} → ${newPort}; draining old process` });
+        if (oldChild) {
+          await this._drain(key, oldPort, drainMs);
+          this._terminate(key, oldChild, app.stopTimeoutMs ?? 5000);
+        }
+        results.push({ instance: i, pid: standby.pid, port: newPort, previousPort: oldPort });
+      }
+      this.emit('app-reloaded', { host: key, instances: results });
+      return { reloaded: true, instances: results };
+    } finally {
+      this.reloading.delete(key);
+    }
+  }
+
+  async _drain(key, port, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (typeof this.activeConnections === 'function' && Date.now() < deadline) {
+      if (!this.activeConnections(key, port)) return;
+      await new Promise(r => setTimeout(r, 200));
+    }
+  }
+
   tail(host, limit = 200) {
     const key = host.toLowerCase();
     const buf = this.logBuffers.get(key) || [];
     return buf.slice(-limit);
   }
 
-  runtime(host) {
+  // Older log entries from disk: { logs, nextBefore } for from <= ts < to,
+  // optionally narrowed by filter(entry)
+  history(host, { from, to, skip, limit = 200, filter } = {}) {
+    if (!this.logStore) throw new Error('log storage is disabled');
+    return this.logStore.read(host.toLowerCase(), { from, to, skip, limit, filter });
+  }
+
+  // opts.history adds the recent CPU/memory samples of each instance
+  runtime(host, opts = {}) {
     const key = host.toLowerCase();
-    const child = this.children.get(key);
+    const app = this.apps.get(key);
+    const count = instanceCount(app);
+    const instances = [];
+    for (let i = 0; i < count; i++) {
+      const id = instanceKey(key, i);
+      const child = this.children.get(id);
+      const started = this.startTimes.get(id);
+      instances.push({
+        index: i,
+        port: app ? this.activePort(key, i) : undefined,
+        running: !!child,
+        pid: child?.pid,
+        uptimeMs: child && started ? Date.now() - started : 0,
+        restarts: this.restartCounts.get(id) || 0,
+        unhealthyRestarts: this.unhealthyRestarts.get(id) || 0
+      });
+      const u = child && this.usage.get(id);
+      if (u) {
+        Object.assign(instances[i], { cpu: u.cpu, memoryMb: u.memoryMb });
+        if (opts.history) instances[i].history = u.history.slice();
+      }
+    }
+    const primary = instances.find(x => x.running) || instances[0];
     const started = this.startTimes.get(key);
-    const uptimeMs = started ? Date.now() - started : 0;
-    const restarts = this.restartCounts.get(key) || 0;
+    const uptimeMs = count > 1 ? primary.uptimeMs : (started ? Date.now() - started : 0);
+    const restarts = instances.reduce((n, x) => n + x.restarts, 0);
+    const unhealthyRestarts = instances.reduce((n, x) => n + x.unhealthyRestarts, 0);
     const health = this.healthState.get(key) || null;
-    return { running: !!child, pid: child?.pid, uptimeMs, restarts, health };
+    const out = { running: instances.some(x => x.running), pid: primary.pid, uptimeMs, restarts, unhealthyRestarts, health };
+    // Totals over all instances (null until the first sample)
+    const sampled = instances.filter(x => x.memoryMb !== undefined);
+    if (sampled.length) {
+      out.cpu = sampled.some(x => x.cpu === null) ? null : Math.round(sampled.reduce((n, x) => n + x.cpu, 0) * 10) / 10;
+      out.memoryMb = Math.round(sampled.reduce((n, x) => n + x.memoryMb, 0) * 10) / 10;
+    }
+    if (app?.maxMemoryMb) out.maxMemoryMb = app.maxMemoryMb;
+    if (count > 1) out.instances = instances;
+    else if (opts.history) out.history = instances[0].history || [];
+    if (this.reloading.has(key)) out.reloading = true;
+    if (this.starting.has(key)) out.starting = true;
+    if (this.pendingRestarts.has(key)) out.restartPending = true;
+    const crashes = this.crashTimes.get(key);
+    if (crashes) {
+      const windowMs = this.restartPolicyFor(app).windowMs;
+      const recent = crashes.filter(t => Date.now() - t < windowMs).length;
+      if (recent) out.recentCrashes = recent;
+    }
+    if (this.errored.has(key)) out.errored = { ...this.errored.get(key) };
+    if (app?.onDemand) {
+      out.onDemand = true;
+      out.idle = !out.running;
+      out.lastActivity = this.lastActivity.get(key) || null;
+    }
+    if (app && isPooled(app)) {
+      const states = this.upstreamHealth.get(key);
+      out.upstreams = listUpstreams(app, i => this.activePort(key, i)).map(u => {
+        const k = upstreamKey(u);
+        return { key: k, weight: u.weight, health: states?.get(k) || null };
+      });
+    }
+    return out;
+  }
+
+  // Whether an upstream of a pooled host is in rotation. Instances whose process
+  // is down are out; upstreams without a health check (or not checked yet) count
+  // as healthy, and so do degraded ones whose degraded period is over.
+  upstreamHealthy(host, u) {
+    const key = host.toLowerCase();
+    if (u.instance !== undefined && !this.children.has(instanceKey(key, u.instance))) return false;
+    const state = this.upstreamHealth.get(key)?.get(upstreamKey(u));
+    return !state || state.healthy !== false || (!!state.degradedUntil && Date.now() >= state.degradedUntil);
+  }
+
+  // Passive health (see passive-health.mjs): errors seen by the proxy mark an
+  // upstream degraded in the same state the probes keep. A pool member leaves
+  // rotation until `until` or until its probe passes `rise` times; a
+  // single-upstream app is reported unhealthy, so requests are held while its
+  // probe (if any) confirms it is up.
+  markDegraded(host, upstream, { error, until }) {
+    const key = host.toLowerCase();
+    const app = this.apps.get(key);
+    if (!app) return;
+    const state = { healthy: false, statusCode: 0, lastChecked: Date.now(), error, successes: 0, failures: 0, degraded: true, degradedUntil: until };
+    if (isPooled(app)) {
+      if (!this.upstreamHealth.has(key)) this.upstreamHealth.set(key, new Map());
+      this.upstreamHealth.get(key).set(upstream, state);
+      this.emit('upstream-health', { host: key, upstream, ...state });
+    } else {
+      // A process that is down or starting is already reported as such
+      if (app.start && (!this.isRunning(key) || this.starting.has(key))) return;
+      this._setHealth(key, state);
+    }
+    this.emit('app-log', { host: key, stream: 'stderr', line: `[passive] ${upstream} degraded: ${error}` });
+  }
+
+  // Clear a degraded mark once requests succeed again. Probe results replace
+  // the mark, so nothing is changed when a probe ran in between.
+  clearDegraded(host, upstream) {
+    const key = host.toLowerCase();
+    const app = this.apps.get(key);
+    if (!app) return;
+    const state = { healthy: true, statusCode: 0, lastChecked: Date.now(), successes: 0, failures: 0 };
+    if (isPooled(app)) {
+      const states = this.upstreamHealth.get(key);
+      if (!states?.get(upstream)?.degraded) return;
+      states.set(upstream, state);
+      this.emit('upstream-health', { host: key, upstream, ...state });
+    } else {
+      if (!this.healthState.get(key)?.degraded) return;
+      this._setHealth(key, state);
+    }
+    this.emit('app-log', { host: key, stream: 'stdout', line: `[passive] ${upstream} answering again` });
   }
 
   enable(host) {
@@ -284,7 +1067,7 @@ export class AppManager extends EventEmitter {
     if (!app.disabled) return { already: true };
     app.disabled = false;
     this.updateApp(key, { disabled: false });
-    if (app.start) this.start(key);
+    if (app.start && !app.onDemand) this.start(key);
     return { enabled: true };
   }
 
@@ -298,33 +1081,220 @@ export class AppManager extends EventEmitter {
     return { disabled: true };
   }
 
+  _setHealth(key, state) {
+    this.healthState.set(key, state);
+    if (state.healthy) this.starting.delete(key);
+    this.emit('app-health', { host: key, ...state });
+  }
+
+  // Run the startup probe (every 500ms by default) until it passes or
+  // timeoutMs (startup.maxWaitMs) elapses, so requests held during startup
+  // are released as soon as the app is up rather than on the next liveness
+  // check. One pass is enough while the app is starting; an app that failed
+  // its liveness check needs `rise` passes in a row. Only one poll runs per host.
+  probeUntilHealthy(host, timeoutMs) {
+    const key = host.toLowerCase();
+    const app = this.apps.get(key);
+    const probe = probeConfig(app, { intervalMs: this.defaultHealthInterval });
+    if (!probe || this.startupProbes.has(key)) return;
+    this.startupProbes.add(key);
+    const deadline = Date.now() + (timeoutMs ?? probe.startup.maxWaitMs);
+    (async () => {
+      let state = this.healthState.get(key);
+      let result = null;
+      while (Date.now() < deadline && this.apps.get(key) === app) {
+        const startup = this.starting.has(key);
+        const check = startup ? probe.startup : { ...probe, timeoutMs: probe.startup.timeoutMs };
+        result = await this._runProbe(app, check, this.activePort(key, 0));
+        this._recordHealth(key, result, { phase: startup ? 'startup' : 'recovery' });
+        state = nextState(state, result, check);
+        if (state.healthy) break;
+        await new Promise(r => setTimeout(r, probe.startup.intervalMs));
+      }
+      this.startupProbes.delete(key);
+      if (!result || this.apps.get(key) !== app) return;
+      if (!state.healthy && this.starting.has(key)) {
+        // Gave up on startup; the liveness probe takes over from here
+        this.starting.delete(key);
+        state = { ...state, error: `startup probe did not pass within ${Math.round((timeoutMs ?? probe.startup.maxWaitMs) / 1000)}s (${result.error})` };
+      }
+      this._setHealth(key, state);
+    })();
+  }
+
   _scheduleHealth(key) {
     const app = this.apps.get(key);
-    if (!app || !app.healthUrl) return;
-    const intervalMs = app.healthIntervalMs || this.defaultHealthInterval;
+    if (!app) return;
+    const probe = probeConfig(app, { intervalMs: this.defaultHealthInterval });
+    // Pooled hosts check every upstream so failing backends drop out of rotation.
+    // Ports can move with reloads, so the pool is recomputed on each run.
+    const poolTargets = () => isPooled(app)
+      ? listUpstreams(app, i => this.activePort(key, i)).map(u => ({ key: upstreamKey(u), instance: u.instance, probe: upstreamProbe(probe, u) })).filter(t => t.probe)
+      : [];
+    const hasPool = poolTargets().length > 0;
+    if (!probe && !hasPool) return;
+    const intervalMs = probe?.intervalMs || app.healthIntervalMs || this.defaultHealthInterval;
+    // Ejected (or failing) upstreams are re-probed more often so they rejoin,
+    // or reach their fall threshold, quickly
+    const recheckMs = Math.min(intervalMs, app.upstreamRecheckMs || 2000);
+    let lastAppCheck = 0;
+    // A probe can outlast recheckMs; one at a time per target keeps each
+    // result folded into the state left by the previous one
+    const inFlight = new Set();
     const run = async () => {
-      const started = Date.now();
-      let state;
-      try {
-        const res = await request(app.healthUrl, { method: 'GET', maxRedirections: 1 });
-        const healthy = res.statusCode >= 200 && res.statusCode < 400;
-        state = { healthy, statusCode: res.statusCode, lastChecked: Date.now(), latencyMs: Date.now() - started };
-      } catch (e) {
-        state = { healthy: false, statusCode: 0, lastChecked: Date.now(), error: e.message };
+      const now = Date.now();
+      // While the app is starting the startup probe decides (probeUntilHealthy)
+      if (probe && !this.starting.has(key) && now - lastAppCheck >= intervalMs) {
+        lastAppCheck = now;
+        const result = await this._runProbe(app, probe, this.activePort(key, 0));
+        if (this.apps.get(key) === app && !this.starting.has(key)) {
+          this._recordHealth(key, result, { phase: 'liveness' });
+          const state = nextState(this.healthState.get(key), result, probe);
+          this._setHealth(key, state);
+          this._restartIfUnhealthy(key, app, 0, state);
+        }
       }
-      this.healthState.set(key, state);
-      this.emit('app-health', { host: key, ...state });
+      const pool = poolTargets();
+      if (!pool.length) return;
+      if (!this.upstreamHealth.has(key)) this.upstreamHealth.set(key, new Map());
+      const states = this.upstreamHealth.get(key);
+      await Promise.all(pool.map(async (t) => {
+        if (inFlight.has(t.key)) return;
+        const last = states.get(t.key);
+        if (last && now - last.lastChecked < (last.healthy && !last.failures ? intervalMs : recheckMs)) return;
+        inFlight.add(t.key);
+        let result;
+        try { result = await runProbe(t.probe, { cwd: app.cwd }); } finally { inFlight.delete(t.key); }
+        this._recordHealth(key, result, { phase: 'liveness', upstream: t.key });
+        const prev = states.get(t.key);
+        const state = nextState(prev, result, t.probe);
+        states.set(t.key, state);
+        if (prev && prev.healthy !== state.healthy) {
+          const line = state.healthy ? `[upstream] ${t.key} healthy again; back in rotation` : `[upstream] ${t.key} unhealthy; ejected from rotation`;
+          this.emit('app-log', { host: key, stream: state.healthy ? 'stdout' : 'stderr', line });
+        }
+        this.emit('upstream-health', { host: key, upstream: t.key, ...state });
+        if (t.instance !== undefined) this._restartIfUnhealthy(key, app, t.instance, state);
+      }));
     };
     run(); // initial
-    const id = setInterval(run, intervalMs);
+    const id = setInterval(run, hasPool ? recheckMs : intervalMs);
     this.healthIntervals.set(key, id);
   }
 
+  // Restart instance `index` once it failed restartPolicy.unhealthyThreshold
+  // liveness checks in a row: a process that hangs without exiting is never
+  // restarted as a crash. Instances still in their grace period, and apps
+  // being reloaded or stopped, are left alone.
+  _restartIfUnhealthy(key, app, index, state) {
+    const policy = this.restartPolicyFor(app);
+    if (!policy.unhealthyThreshold || state.failures < policy.unhealthyThreshold) return;
+    if (!app.start || app.disabled || this.shuttingDown || this.reloading.has(key) || this.errored.has(key)) return;
+    const id = instanceKey(key, index);
+    if (this.apps.get(key) !== app || !this.children.has(id)) return;
+    if (Date.now() - (this.startTimes.get(id) || 0) < policy.unhealthyGraceMs) return;
+    const tag = index ? ` (instance #${index})` : '';
+    this.emit('app-log', { host: key, stream: 'stderr', line: `[health]${tag} failed ${state.failures} liveness checks in a row (${state.error || `status ${state.statusCode}`}); restarting` });
+    this.emit('app-unhealthy-restart', { host: key, instance: index, failures: state.failures, error: state.error });
+    this._restartInstance(key, index, this.unhealthyRestarts);
+  }
+
   _clearHealth(key) {
     const id = this.healthIntervals.get(key);
     if (id) clearInterval(id);
     this.healthIntervals.delete(key);
     this.healthState.delete(key);
+    this.upstreamHealth.delete(key);
+  }
+
+  // Watch the config file and apply edits made on disk (e.g. in an editor)
+  watchConfig({ debounceMs = 300 } = {}) {
+    if (!this.configPath || this.configWatcher) return;
+    const dir = path.dirname(this.configPath);
+    const base = path.basename(this.configPath);
+    let timer = null;
+    // Watch the directory: editors often replace the file instead of writing in place
+    this.configWatcher = fs.watch(dir, (event, filename) => {
+      if (filename && filename !== base) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => this.reloadConfig({ fromWatcher: true }), debounceMs);
+    });
+    this.configWatcher.on('error', (e) => this.emit('config-error', { path: this.configPath, error: e.message }));
+    this.configWatcher.unref?.();
+  }
+
+  unwatchConfig() {
+    this.configWatcher?.close();
+    this.configWatcher = null;
+  }
+
+  // Re-read the config file and apply the differences to the running apps.
+  // Errors are reported through 'config-error' and leave the current state intact.
+  reloadConfig({ fromWatcher = false } = {}) {
+    if (!this.configPath) throw new Error('no config file');
+    let text;
+    try {
+      text = fs.readFileSync(this.configPath, 'utf8');
+    } catch (e) {
+      if (fromWatcher && e.code === 'ENOENT') return null; // mid-replace; the next event has the file
+      this.emit('config-error', { path: this.configPath, error: e.message });
+      if (fromWatcher) return null;
+      throw e;
+    }
+    if (fromWatcher && text === this.configText) return null; // our own _persist() write
+    let obj;
+    try {
+      obj = JSON.parse(text);
+      assertValid(validateConfig(obj), 'config');
+    } catch (e) {
+      this.emit('config-error', { path: this.configPath, error: e.message, errors: e.errors });
+      if (fromWatcher) return null;
+      throw e;
+    }
+    this.configText = text;
+    const summary = this.applyConfig(obj);
+    this.emit('config-reloaded', { path: this.configPath, ...summary });
+    return summary;
+  }
+
+  // Diff a config object against the current apps and apply adds, updates and
+  // removals through the normal add/update/remove paths (without persisting).
+  applyConfig(obj) {
+    const next = new Map();
+    for (const app of obj.apps || []) if (app && app.host) next.set(app.host.toLowerCase(), app);
+    const summary = { added: [], updated: [], removed: [], restartRequired: [] };
+    for (const key of Array.from(this.apps.keys())) {
+      if (next.has(key)) continue;
+      this.removeApp(key, { persist: false });
+      summary.removed.push(key);
+    }
+    for (const [key, app] of next) {
+      const cur = this.apps.get(key);
+      try {
+        if (!cur) {
+          this.addApp(app, { persist: false });
+          summary.added.push(key);
+        } else if (JSON.stringify(cur) !== JSON.stringify(app)) {
+          this.updateApp(key, app, { persist: false, replace: true });
+          summary.updated.push(key);
+          // Follow enable/disable (and on-demand -> always-on) flips made in the file
+          if (app.disabled && !cur.disabled) this.stop(key);
+          else if (!app.disabled && (cur.disabled || cur.onDemand) && app.start && !app.onDemand && !this.isRunning(key)) this.start(key);
+          else if (this.isRunning(key) && ['start', 'cwd', 'port', 'instances', 'shell', 'env', 'envFile'].some(f => JSON.stringify(cur[f]) !== JSON.stringify(app[f]))) {
+            this.emit('app-log', { host: key, stream: 'stdout', line: '[config] process settings changed on disk; restart or reload the app to apply them' });
+          }
+        }
+      } catch (e) {
+        this.emit('config-error', { path: this.configPath, host: key, error: e.message });
+      }
+    }
+    // Everything outside `apps` (proxy, queue, logs, ...) is read once at startup
+    const prev = this.rawConfig || {};
+    for (const k of new Set([...Object.keys(prev), ...Object.keys(obj)])) {
+      if (k !== 'apps' && !k.startsWith('#') && JSON.stringify(prev[k]) !== JSON.stringify(obj[k])) summary.restartRequired.push(k);
+    }
+    this.rawConfig = obj;
+    return summary;
   }
 
   _persist() {
@@ -332,8 +1302,10 @@ export class AppManager extends EventEmitter {
     // Write apps back preserving other top-level keys
     const out = { ...this.rawConfig, apps: this.listApps() };
     const tmp = this.configPath + '.tmp';
+    const text = JSON.stringify(out, null, 2);
+    this.configText = text; // lets the config watcher recognise its own write
     // Use async I/O to avoid blocking event loop
-    fs.promises.writeFile(tmp, JSON.stringify(out, null, 2))
+    fs.promises.writeFile(tmp, text)
       .then(() => fs.promises.rename(tmp, this.configPath))
       .then(() => this.emit('config-saved', { path: this.configPath }))
       .catch(err => console.error('Config save failed:', err));
@@ -344,6 +1316,7 @@ export function createAppManagerFromFile(configPath, options = {}) {
   const text = fs.readFileSync(configPath, 'utf8');
   const obj = JSON.parse(text);
   const mgr = new AppManager({ ...options, configPath });
+  mgr.configText = text;
   mgr.loadConfig(obj);
   return mgr;
 }
@@ -0,0 +1,442 @@
+// Schema for gateway.config.json and the app objects accepted by the admin API.
+//
+// The schemas below use a small JSON-Schema-like vocabulary (type, enum,
+// minimum/maximum, minLength, pattern, items, properties, required,
+// additionalProperties, format) checked by a built-in validator, so the gateway
+// keeps working without extra dependencies. Errors are collected per field as
+// { path, message } so callers can point at exactly what is wrong.
+//
+// Keys starting with "#" are treated as comments and ignored.
+
+import { STRATEGIES } from './load-balancer.mjs';
+import { EVENTS, CHANNEL_TYPES } from './notifier.mjs';
+import { dependencyErrors } from './dependencies.mjs';
+import { PROBE_TYPES } from './health-check.mjs';
+
+const port = { type: 'integer', minimum: 1, maximum: 65535 };
+const ms = { type: 'integer', minimum: 0 };
+const bool = { type: 'boolean' };
+const str = { type: 'string', minLength: 1 };
+const httpUrl = { type: 'string', format: 'http-url' };
+
+const upstream = {
+  type: 'object',
+  required: ['port'],
+  properties: {
+    protocol: { enum: ['http', 'https'] },
+    host: str,
+    port,
+    weight: { type: 'number', exclusiveMinimum: 0 },
+    healthUrl: httpUrl,
+    rejectUnauthorized: bool
+  },
+  additionalProperties: false
+};
+
+const route = {
+  type: 'object',
+  properties: {
+    path: { type: 'string' },
+    regex: { type: 'string', format: 'regex' },
+    stripPrefix: bool,
+    app: str,
+    upstream,
+    staticDir: str
+  },
+  additionalProperties: false
+};
+
+// Fields shared by the liveness probe and its startup variant
+const probeFields = {
+  type: { enum: PROBE_TYPES },
+  url: httpUrl,
+  path: { type: 'string', pattern: '^/' },
+  method: { enum: ['GET', 'HEAD', 'POST', 'OPTIONS'] },
+  headers: { type: 'object', additionalProperties: { type: 'string' } },
+  expectStatus: { type: 'string', pattern: '^\\s*(\\d{3}(-\\d{3})?|[1-5]xx)(\\s*,\\s*(\\d{3}(-\\d{3})?|[1-5]xx))*\\s*$' },
+  expectBody: { type: 'string', format: 'regex' },
+  host: str,
+  port,
+  command: str,
+  timeoutMs: { type: 'integer', minimum: 1 }
+};
+
+const healthCheck = {
+  type: 'object',
+  properties: {
+    ...probeFields,
+    intervalMs: { type: 'integer', minimum: 1000 },
+    rise: { type: 'integer', minimum: 1 },
+    fall: { type: 'integer', minimum: 1 },
+    startup: {
+      type: 'object',
+      properties: { ...probeFields, intervalMs: { type: 'integer', minimum: 100 }, maxWaitMs: ms },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+const restartPolicy = {
+  type: 'object',
+  properties: {
+    initialDelayMs: ms,
+    maxDelayMs: ms,
+    maxCrashes: { type: 'integer', minimum: 1 },
+    windowMs: { type: 'integer', minimum: 1000 },
+    stableMs: ms,
+    unhealthyThreshold: { type: 'integer', minimum: 0 },
+    unhealthyGraceMs: ms
+  },
+  additionalProperties: false
+};
+
+const passiveHealth = {
+  type: 'object',
+  properties: {
+    enabled: bool,
+    maxFailures: { type: 'integer', minimum: 1 },
+    errorRate: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+    minRequests: { type: 'integer', minimum: 1 },
+    windowMs: { type: 'integer', minimum: 1000 },
+    degradedMs: ms
+  },
+  additionalProperties: false
+};
+
+const proxyLimits = {
+  type: 'object',
+  properties: {
+    connectTimeoutMs: ms,
+    responseTimeoutMs: ms,
+    idleTimeoutMs: ms,
+    maxBodyMb: { type: 'number', minimum: 0 },
+    maxHeaderKb: { type: 'integer', minimum: 1 },
+    retries: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+export const appSchema = {
+  type: 'object',
+  required: ['host'],
+  properties: {
+    host: { type: 'string', pattern: '^[A-Za-z0-9*]([A-Za-z0-9.*-]*[A-Za-z0-9])?$' },
+    altNames: { type: 'array', items: str },
+    port,
+    upstream,
+    upstreams: { type: 'array', minItems: 1, items: upstream },
+    balance: { enum: STRATEGIES },
+    instances: { type: 'integer', minimum: 1 },
+    routes: { type: 'array', items: route },
+    staticDir: str,
+    start: str,
+    cwd: str,
+    env: { type: 'object', additionalProperties: { type: 'string' } },
+    envFile: str,
+    shell: bool,
+    autoInstall: bool,
+    autoRestart: bool,
+    disabled: bool,
+    preserveHost: bool,
+    healthUrl: httpUrl,
+    healthIntervalMs: { type: 'integer', minimum: 1000 },
+    healthCheck,
+    upstreamRecheckMs: { type: 'integer', minimum: 100 },
+    passiveHealth,
+    proxy: proxyLimits,
+    onDemand: bool,
+    idleTimeoutMs: { type: 'integer', minimum: 1000 },
+    queue: {
+      type: 'object',
+      properties: { maxDepth: { type: 'integer', minimum: 0 }, timeoutMs: ms },
+      additionalProperties: false
+    },
+    reloadPortOffset: { type: 'integer', minimum: 1 },
+    reloadTimeoutMs: ms,
+    drainTimeoutMs: ms,
+    stopTimeoutMs: ms,
+    maxMemoryMb: { type: 'number', exclusiveMinimum: 0 },
+    restartPolicy,
+    dependsOn: { type: 'array', items: str },
+    group: str
+  },
+  additionalProperties: false
+};
+
+// One shape for every channel type; which fields are required per type is
+// checked in checkNotificationRules. String values may use ${VAR} placeholders.
+const channel = {
+  type: 'object',
+  required: ['name', 'type'],
+  properties: {
+    name: str,
+    type: { enum: CHANNEL_TYPES },
+    url: str,
+    headers: { type: 'object', additionalProperties: { type: 'string' } },
+    host: str,
+    port,
+    secure: bool,
+    rejectUnauthorized: bool,
+    user: str,
+    pass: { type: 'string' },
+    from: str,
+    to: { type: 'array', minItems: 1, items: str },
+    command: str
+  },
+  additionalProperties: false
+};
+
+const notifyRule = {
+  type: 'object',
+  required: ['event'],
+  properties: {
+    event: { enum: EVENTS },
+    hosts: { type: 'array', items: str },
+    count: { type: 'integer', minimum: 1 },
+    windowMinutes: { type: 'number', exclusiveMinimum: 0 },
+    days: { type: 'integer', minimum: 0 },
+    channels: { type: 'array', minItems: 1, items: str },
+    cooldownMinutes: { type: 'number', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+export const configSchema = {
+  type: 'object',
+  properties: {
+    email: { type: 'string' },
+    agreeToTerms: bool,
+    acme: {
+      type: 'object',
+      properties: {
+        mode: { enum: ['http-01'] },
+        directoryUrl: httpUrl,
+        packageRoot: str,
+        configDir: str
+      },
+      required: ['configDir'],
+      additionalProperties: false
+    },
+    adminToken: { type: 'string' },
+    watchConfig: bool,
+    shutdownTimeoutMs: ms,
+    sampleIntervalMs: { type: 'integer', minimum: 1000 },
+    performance: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        intervalMs: { type: 'integer', minimum: 1000 },
+        historySize: { type: 'integer', minimum: 1 },
+        thresholds: {
+          type: 'object',
+          properties: {
+            heapUsedMb: { type: 'number', minimum: 0 },
+            rssMb: { type: 'number', minimum: 0 },
+            eventLoopLagMs: { type: 'number', minimum: 0 }
+          },
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    },
+    notifications: {
+      type: 'object',
+      properties: {
+        channels: { type: 'array', items: channel },
+        rules: { type: 'array', items: notifyRule },
+        cooldownMinutes: { type: 'number', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    accessLog: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        format: { enum: ['json', 'combined'] },
+        dir: str,
+        maxSizeMb: { type: 'number', exclusiveMinimum: 0 },
+        maxAgeHours: { type: 'number', exclusiveMinimum: 0 },
+        maxFiles: { type: 'integer', minimum: 0 },
+        compress: bool
+      },
+      additionalProperties: false
+    },
+    logs: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        dir: str,
+        maxSizeMb: { type: 'number', exclusiveMinimum: 0 },
+        maxAgeHours: { type: 'number', exclusiveMinimum: 0 },
+        maxFiles: { type: 'integer', minimum: 0 },
+        compress: bool,
+        maxLineLength: { type: 'integer', minimum: 80 }
+      },
+      additionalProperties: false
+    },
+    queue: appSchema.properties.queue,
+    restartPolicy,
+    passiveHealth,
+    proxy: proxyLimits,
+    dependencyTimeoutMs: ms,
+    apps: { type: 'array', items: appSchema }
+  },
+  required: ['acme'],
+  additionalProperties: false
+};
+
+function typeOf(v) {
+  if (Array.isArray(v)) return 'array';
+  if (v === null) return 'null';
+  if (typeof v === 'number' && Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+function checkFormat(format, v) {
+  if (format === 'regex') {
+    try { new RegExp(v); return null; } catch (e) { return `is not a valid regular expression (${e.message})`; }
+  }
+  if (format === 'http-url') {
+    try {
+      const u = new URL(v);
+      return u.protocol === 'http:' || u.protocol === 'https:' ? null : 'must be an http(s) URL';
+    } catch { return 'must be an http(s) URL'; }
+  }
+  return null;
+}
+
+// Validate `value` against `schema`, pushing { path, message } into `errors`.
+export function validate(schema, value, path = '', errors = []) {
+  const at = path || '(root)';
+  const fail = (message) => errors.push({ path: at, message });
+  if (schema.enum) {
+    if (!schema.enum.includes(value)) fail(`must be one of: ${schema.enum.join(', ')}`);
+    return errors;
+  }
+  if (schema.type) {
+    const t = typeOf(value);
+    const ok = t === schema.type || (schema.type === 'number' && t === 'integer');
+    if (!ok) {
+      fail(`must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+      return errors;
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) fail('must not be empty');
+    else if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail('has an invalid format');
+    else if (schema.format) { const m = checkFormat(schema.format, value); if (m) fail(m); }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => validate(schema.items, item, `${path}[${i}]`, errors));
+  }
+  if (schema.type === 'object') {
+    const props = schema.properties || {};
+    const join = (k) => (path ? `${path}.${k}` : k);
+    for (const k of schema.required || []) {
+      if (value[k] === undefined || value[k] === null) errors.push({ path: join(k), message: 'is required' });
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (k.startsWith('#')) continue; // comment keys
+      if (props[k]) {
+        // null means "not set" for optional fields (e.g. cleared in the admin form)
+        if (v !== undefined && v !== null) validate(props[k], v, join(k), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: join(k), message: 'is not a known field' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validate(schema.additionalProperties, v, join(k), errors);
+      }
+    }
+  }
+  return errors;
+}
+
+// Rules that span several fields of one app
+function checkAppRules(app, path, errors) {
+  const at = (k) => (path ? `${path}.${k}` : k);
+  if (app.start && !app.cwd) errors.push({ path: at('cwd'), message: 'is required when start is set' });
+  if (app.instances > 1 && !app.port) errors.push({ path: at('port'), message: 'is required when instances > 1' });
+  if (app.onDemand && !app.start) errors.push({ path: at('start'), message: 'is required when onDemand is set' });
+  const hc = app.healthCheck;
+  if (hc && typeof hc === 'object') {
+    const type = hc.type || 'http';
+    const target = app.port || app.upstream;
+    if (type === 'exec' && !hc.command) errors.push({ path: at('healthCheck.command'), message: 'is required for exec checks' });
+    if (type === 'tcp' && !hc.port && !target) errors.push({ path: at('healthCheck.port'), message: 'is required for tcp checks when the app has no port or upstream' });
+    if (type === 'http' && !hc.url && !app.healthUrl && !target) errors.push({ path: at('healthCheck.url'), message: 'is required when the app has no port or upstream' });
+  }
+  if (app.env && typeof app.env === 'object' && !Array.isArray(app.env)) {
+    for (const k of Object.keys(app.env)) {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(k)) errors.push({ path: at(`env.${k}`), message: 'is not a valid variable name' });
+    }
+  }
+  (Array.isArray(app.routes) ? app.routes : []).forEach((r, i) => {
+    if (!r || typeof r !== 'object') return;
+    const rp = at(`routes[${i}]`);
+    if (r.path === undefined && r.regex === undefined) errors.push({ path: rp, message: 'needs a path or regex' });
+    const targets = ['app', 'upstream', 'staticDir'].filter(k => r[k] !== undefined && r[k] !== null);
+    if (targets.length !== 1) errors.push({ path: rp, message: 'needs exactly one of app, upstream or staticDir' });
+  });
+  return errors;
+}
+
+const CHANNEL_FIELDS = { webhook: ['url'], slack: ['url'], smtp: ['host', 'from', 'to'], command: ['command'] };
+
+// Per-type channel settings, unique channel names and rules naming real channels
+function checkNotificationRules(n, errors) {
+  const names = new Set();
+  (Array.isArray(n.channels) ? n.channels : []).forEach((c, i) => {
+    if (!c || typeof c !== 'object') return;
+    for (const k of CHANNEL_FIELDS[c.type] || []) {
+      if (c[k] === undefined || c[k] === null) errors.push({ path: `notifications.channels[${i}].${k}`, message: `is required for ${c.type} channels` });
+    }
+    if (names.has(c.name)) errors.push({ path: `notifications.channels[${i}].name`, message: 'duplicates another channel' });
+    names.add(c.name);
+  });
+  (Array.isArray(n.rules) ? n.rules : []).forEach((r, i) => {
+    if (!r || !Array.isArray(r.channels)) return;
+    for (const name of r.channels) {
+      if (!names.has(name)) errors.push({ path: `notifications.rules[${i}].channels`, message: `names unknown channel "${name}"` });
+    }
+  });
+  return errors;
+}
+
+export function validateApp(app, path = '') {
+  const errors = validate(appSchema, app, path);
+  if (app && typeof app === 'object' && !Array.isArray(app)) checkAppRules(app, path, errors);
+  return errors;
+}
+
+export function validateConfig(obj) {
+  const errors = validate(configSchema, obj);
+  if (obj && obj.notifications && typeof obj.notifications === 'object') checkNotificationRules(obj.notifications, errors);
+  if (obj && Array.isArray(obj.apps)) {
+    const seen = new Map();
+    obj.apps.forEach((app, i) => {
+      if (!app || typeof app !== 'object') return;
+      checkAppRules(app, `apps[${i}]`, errors);
+      const key = typeof app.host === 'string' ? app.host.toLowerCase() : null;
+      if (!key) return;
+      if (seen.has(key)) errors.push({ path: `apps[${i}].host`, message: `duplicates apps[${seen.get(key)}].host` });
+      else seen.set(key, i);
+    });
+    const hosted = obj.apps.map((app, i) => ({ app, i })).filter(x => x.app && typeof x.app.host === 'string');
+    errors.push(...dependencyErrors(hosted.map(x => x.app), (j) => `apps[${hosted[j].i}]`));
+  }
+  return errors;
+}
+
+// Throw an Error listing every problem; `err.errors` keeps the structured list.
+export function assertValid(errors, what = 'config') {
+  if (!errors.length) return;
+  const err = new Error(`invalid ${what}: ` + errors.map(e => `${e.path} ${e.message}`).join('; '));
+  err.errors = errors;
+  throw err;
+}
@@ -0,0 +1,68 @@
+// Ordering of apps that depend on each other.
+//
+// An app lists the hosts it needs in `dependsOn`; those are started (and
+// waited for) before it, and stopped after it. Hosts are compared
+// case-insensitively. Dependencies on hosts that are not configured are left
+// out of the ordering; dependencyErrors() reports them.
+
+export function dependsOn(app) {
+  return Array.isArray(app?.dependsOn) ? app.dependsOn.map(h => String(h).toLowerCase()) : [];
+}
+
+// Hosts (lower-cased) with every app after the apps it depends on; otherwise
+// in the given order. Throws on a cycle; `err.cycle` lists it.
+export function dependencyOrder(apps) {
+  const byHost = new Map(apps.map(a => [a.host.toLowerCase(), a]));
+  const order = [];
+  const state = new Map(); // host -> 'visiting' | 'done'
+  const visit = (host, trail) => {
+    if (state.get(host) === 'done') return;
+    if (state.get(host) === 'visiting') {
+      const cycle = [...trail.slice(trail.indexOf(host)), host];
+      const err = new Error(`dependency cycle: ${cycle.join(' → ')}`);
+      err.cycle = cycle;
+      throw err;
+    }
+    state.set(host, 'visiting');
+    for (const dep of dependsOn(byHost.get(host))) if (byHost.has(dep)) visit(dep, [...trail, host]);
+    state.set(host, 'done');
+    order.push(host);
+  };
+  for (const host of byHost.keys()) visit(host, []);
+  return order;
+}
+
+// `hosts` plus everything they depend on, directly or not
+export function dependencyClosure(apps, hosts) {
+  const byHost = new Map(apps.map(a => [a.host.toLowerCase(), a]));
+  const out = new Set();
+  const add = (host) => {
+    if (out.has(host) || !byHost.has(host)) return;
+    out.add(host);
+    dependsOn(byHost.get(host)).forEach(add);
+  };
+  hosts.forEach(h => add(h.toLowerCase()));
+  return out;
+}
+
+// Apps whose dependsOn names `host`
+export function dependentsOf(apps, host) {
+  const key = host.toLowerCase();
+  return apps.filter(a => a.host.toLowerCase() !== key && dependsOn(a).includes(key)).map(a => a.host);
+}
+
+// { path, message } for unknown hosts in dependsOn and for a cycle
+export function dependencyErrors(apps, pathOf = (i) => `apps[${i}]`) {
+  const errors = [];
+  const hosts = new Set(apps.map(a => a.host.toLowerCase()));
+  apps.forEach((app, i) => {
+    for (const dep of dependsOn(app)) {
+      if (!hosts.has(dep)) errors.push({ path: `${pathOf(i)}.dependsOn`, message: `names unknown app "${dep}"` });
+    }
+  });
+  try { dependencyOrder(apps); } catch (e) {
+    const i = apps.findIndex(a => a.host.toLowerCase() === e.cycle[0]);
+    errors.push({ path: `${pathOf(i)}.dependsOn`, message: `forms a dependency cycle: ${e.cycle.join(' → ')}` });
+  }
+  return errors;
+}
@@ -22,6 +22,9 @@ module.exports = {
       watch: false,
       instances: 1,
       max_memory_restart: '200M',
+      // Time PM2 waits before SIGKILL: the gateway drains for shutdownTimeoutMs
+      // (10s) and then gives apps their stopTimeoutMs (5s) plus a 2s margin
+      kill_timeout: 20000,
       log_date_format: 'YYYY-MM-DD HH:mm Z',
       out_file: './logs/gateway-out.log',
       error_file: './logs/gateway-err.log'
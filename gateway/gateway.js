@@ -7,7 +7,6 @@ import { spawn } from "node:child_process"; // legacy (may remove if no direct s
 import { fileURLToPath } from "node:url";
 import crypto from "node:crypto";
 import httpProxy from "http-proxy";
-import { request } from "undici";
 import * as acme from "acme-client";
 import selfsigned from "selfsigned";
 
@@ -18,21 +17,53 @@ const cfg = JSON.parse(fs.readFileSync(path.join(__dirname, "gateway.config.json
 import { createAppManagerFromFile } from './app-manager.mjs';
 import { installAdminApi } from './admin-api.mjs';
 import { installAdminWs } from './admin-ws.mjs';
+import { matchRoute } from './router.mjs';
+import { LoadBalancer, isPooled, listUpstreams, upstreamKey } from './load-balancer.mjs';
+import { HoldQueue } from './hold-queue.mjs';
+import { LogStore } from './log-store.mjs';
+import { AccessLog } from './access-log.mjs';
+import { Registry } from './metrics.mjs';
+import { TimeSeriesStore } from './timeseries.mjs';
+import { Notifier } from './notifier.mjs';
+import { hasHealthCheck } from './health-check.mjs';
+import { PassiveHealth } from './passive-health.mjs';
+import PerformanceMonitor from './performance-monitor.js';
+import { monitorEventLoopDelay } from 'node:perf_hooks';
 
 const adminToken = process.env.GATEWAY_ADMIN_TOKEN || cfg.adminToken || '';
-const manager = createAppManagerFromFile(path.join(__dirname, 'gateway.config.json'));
-// Start all apps with start commands
-for (const app of manager.listApps()) {
-  if (app.start) {
-    try { manager.start(app.host); } catch (e) { console.error('Start failed for', app.host, e); }
-  }
+// App output is also kept on disk (logs/<host>/) unless "logs": { "enabled": false }
+const logCfg = cfg.logs || {};
+const logStore = logCfg.enabled === false ? null : new LogStore({ ...logCfg, dir: path.resolve(__dirname, logCfg.dir || 'logs') });
+// Access log for proxied requests (logs/<host>/access-*.log) unless "accessLog": { "enabled": false }
+const accessCfg = cfg.accessLog || {};
+const accessLog = accessCfg.enabled === false ? null : new AccessLog({ ...logCfg, ...accessCfg, dir: path.resolve(__dirname, accessCfg.dir || logCfg.dir || 'logs') });
+let manager;
+try {
+  manager = createAppManagerFromFile(path.join(__dirname, 'gateway.config.json'), { logStore, maxLineLength: logCfg.maxLineLength, sampleIntervalMs: cfg.sampleIntervalMs, restartPolicy: cfg.restartPolicy, dependencyTimeoutMs: cfg.dependencyTimeoutMs });
+} catch (e) {
+  // Schema problems are listed one per line so they can be fixed in one go
+  console.error('gateway.config.json is invalid:');
+  for (const err of e.errors || [{ path: '(file)', message: e.message }]) console.error(`  - ${err.path} ${err.message}`);
+  process.exit(1);
 }
+// Start all apps with start commands, dependencies (dependsOn) first; on-demand
+// apps wait for their first request
+manager.startAll().catch(e => console.error('Starting apps failed:', e));
 
 // Diagnostic event logging
-manager.on('app-start', e => console.log(`[app-start] ${e.host} pid=${e.pid}`));
-manager.on('app-exit', e => console.log(`[app-exit] ${e.host} code=${e.code} signal=${e.signal}`));
-manager.on('app-log', e => { if (e.stream === 'stderr') console.error(`[app-log][${e.host}][stderr] ${e.line.trim()}`); else console.log(`[app-log][${e.host}] ${e.line.trim()}`); });
+manager.on('app-start', e => console.log(`[app-start] ${e.host}${e.instance ? '#' + e.instance : ''} pid=${e.pid}`));
+manager.on('app-exit', e => console.log(`[app-exit] ${e.host}${e.instance ? '#' + e.instance : ''} code=${e.code} signal=${e.signal}`));
+manager.on('app-log', e => { if (e.stream === 'stderr') console.error(`[app-log][${e.host}][stderr] ${e.line}`); else console.log(`[app-log][${e.host}] ${e.line}`); });
+manager.on('app-crashloop', e => console.error(`[crashloop] ${e.host} crashed ${e.crashes} times within ${Math.round(e.windowMs / 1000)}s; auto-restart stopped until reset`));
 manager.on('app-health', e => console.log(`[app-health] ${e.host} healthy=${e.healthy} status=${e.statusCode || 0}`));
+manager.on('config-reloaded', e => {
+  console.log(`[config] reloaded from disk: added=${e.added.join(',') || '-'} updated=${e.updated.join(',') || '-'} removed=${e.removed.join(',') || '-'}`);
+  if (e.restartRequired.length) console.warn(`[config] changed ${e.restartRequired.join(', ')}; restart the gateway to apply`);
+});
+manager.on('config-error', e => console.error(`[config] ${e.host ? e.host + ': ' : ''}${e.error} (keeping current config)`));
+
+// Apply edits to gateway.config.json without a restart (set GATEWAY_WATCH_CONFIG=0 to disable)
+if (String(process.env.GATEWAY_WATCH_CONFIG || '1') !== '0' && cfg.watchConfig !== false) manager.watchConfig();
 
 // Host map must be defined before rebuildHostMap is first invoked
 const hostMap = new Map(); // will be populated by rebuildHostMap()
@@ -47,30 +78,202 @@ manager.on('app-removed', rebuildHostMap);
 manager.on('app-updated', rebuildHostMap);
 rebuildHostMap();
 
-/* ----------------------- Health wait (optional) -------------------------- */
-async function waitHealthy(app, timeoutMs = 15000) {
-  const start = Date.now();
-  let firstAttempt = true;
-  while (Date.now() - start < timeoutMs) {
-    try {
-      if (!app.healthUrl) return true;
-      const res = await request(app.healthUrl, { method: "GET" });
-      if (res.statusCode >= 200 && res.statusCode < 500) return true;
-    } catch {}
-    if (firstAttempt) {
-      firstAttempt = false;
-      console.log(`[health] waiting for ${app.host} -> ${app.healthUrl}`);
-    }
-    await new Promise(r => setTimeout(r, 500));
+/* --------------------------- Path-based routing -------------------------- */
+// Resolve which app entry should serve this request. Apps may declare ordered
+// `routes` (path prefix or regex) pointing at another host, an inline upstream
+// or a static directory; unmatched requests fall through to the app itself.
+// Returns null when a route references a host that is not configured.
+function routeRequest(app, req) {
+  const match = matchRoute(app, req.url);
+  if (!match) return app;
+  req.url = match.url;
+  const route = match.route;
+  if (route.app) return hostMap.get(String(route.app).toLowerCase()) || null;
+  if (route.upstream) {
+    return { ...app, upstream: route.upstream, upstreams: undefined, port: undefined, staticDir: undefined, start: undefined, healthUrl: undefined, healthCheck: undefined };
+  }
+  if (route.staticDir) {
+    return { ...app, staticDir: route.staticDir, start: undefined, healthUrl: undefined, healthCheck: undefined };
   }
-  console.warn(`[health] timeout after ${timeoutMs}ms for ${app.host} (${app.healthUrl})`);
-  return false;
+  return app;
 }
 
+/* ---------------------------- Load balancing ----------------------------- */
+const balancer = new LoadBalancer();
+manager.on('app-updated', e => balancer.forget(e.host));
+manager.on('app-removed', e => balancer.forget(e.host));
+// Lets blue/green reloads wait for in-flight requests on the old port to finish
+manager.activeConnections = (host, port) => balancer.connections({ protocol: 'http', host: '127.0.0.1', port });
+
+// Build upstream target (app.upstreams pool, app.upstream or local port fallback).
+// Unhealthy pool members are skipped; returns null when none are left.
+// `exclude` holds keys of upstreams already tried for this request.
+function upstreamFor(app, exclude) {
+  const list = listUpstreams(app, i => manager.activePort(app.host, i));
+  if (list.length === 1) return exclude?.has(upstreamKey(list[0])) ? null : list[0];
+  return balancer.pick(app.host.toLowerCase(), list, app.balance, u => !exclude?.has(upstreamKey(u)) && manager.upstreamHealthy(app.host, u));
+}
+
+// Passive health: connection errors, timeouts and 5xx rates seen by the proxy
+// degrade upstreams in the manager's health state (see passive-health.mjs).
+// Only configured apps are tracked, not inline route upstreams.
+const passiveHealth = new PassiveHealth({
+  defaults: cfg.passiveHealth,
+  onDegraded: (host, upstream, info) => manager.markDegraded(host, upstream, info),
+  onRecovered: (host, upstream) => manager.clearDegraded(host, upstream)
+});
+manager.on('app-updated', e => passiveHealth.forget(e.host));
+manager.on('app-removed', e => passiveHealth.forget(e.host));
+
+function recordOutcome(app, upstream, outcome) {
+  if (hostMap.get(app.host.toLowerCase()) === app) passiveHealth.record(app, upstreamKey(upstream), outcome);
+}
+
+/* --------------------- Hold queue while apps start ----------------------- */
+// Requests for an app that is starting, restarting or unhealthy are parked here
+// and released by the manager's app-health events (see hold-queue.mjs).
+const holdQueue = new HoldQueue(cfg.queue || {});
+manager.on('app-health', e => { if (e.healthy) holdQueue.release(e.host); });
+manager.on('upstream-health', e => { if (e.healthy) holdQueue.release(e.host); });
+manager.on('app-exit', e => { if (!e.restarting && !manager.isRunning(e.host)) holdQueue.fail(e.host); });
+manager.on('app-stop', e => holdQueue.fail(e.host));
+
+// Whether requests for a managed app must wait until it turns healthy. The
+// host-level health of a pooled host only reflects instance 0 (or the app's own
+// probe), so it is served while any upstream is in rotation; while starting,
+// only upstreams whose own probe already passed count.
+function mustHold(app, rt) {
+  if (!rt || !hasHealthCheck(app)) return false;
+  if (!isPooled(app)) return !(rt.health && rt.health.healthy);
+  const checked = new Map((rt.upstreams || []).map(u => [u.key, u.health]));
+  return !listUpstreams(app, i => manager.activePort(app.host, i))
+    .some(u => manager.upstreamHealthy(app.host, u) && (!rt.starting || checked.get(upstreamKey(u))?.healthy));
+}
+
+// An idle stop may still be in progress; the new process needs its port
+async function startOnDemand(app) {
+  console.log(`[on-demand] starting ${app.host} for incoming request`);
+  await manager.waitStopped(app.host);
+  manager.start(app.host);
+  return manager.runtime(app.host);
+}
+
+/* -------------------------------- Metrics -------------------------------- */
+// Prometheus metrics served at GET /admin/metrics (see metrics.mjs)
+const metrics = new Registry();
+const meters = {
+  requests: metrics.counter('gateway_http_requests_total', 'HTTPS requests by host and status code'),
+  duration: metrics.histogram('gateway_http_request_duration_seconds', 'Time until the response finished, by host and status code'),
+  upstreamErrors: metrics.counter('gateway_upstream_errors_total', 'Failed proxy attempts (HTTP and WebSocket) by host and error code'),
+  upstreamRetries: metrics.counter('gateway_upstream_retries_total', 'Requests sent to another upstream after a failed connection'),
+  upgrades: metrics.counter('gateway_websocket_upgrades_total', 'WebSocket upgrade requests by host'),
+  activeRequests: metrics.gauge('gateway_active_requests', 'Requests in progress'),
+  connections: metrics.gauge('gateway_open_connections', 'Open client connections by server'),
+  websockets: metrics.gauge('gateway_open_websockets', 'Proxied WebSocket connections currently open'),
+  certCache: metrics.gauge('gateway_cert_cache_entries', 'TLS contexts in the SNI certificate cache'),
+  appUp: metrics.gauge('gateway_app_up', 'Whether a managed app process is running (1) or not (0)'),
+  appUptime: metrics.gauge('gateway_app_uptime_seconds', 'Seconds since the app process started'),
+  appRestarts: metrics.gauge('gateway_app_restarts', 'Automatic restarts (crashes and memory limit)'),
+  appUnhealthyRestarts: metrics.gauge('gateway_app_unhealthy_restarts', 'Restarts after failed liveness checks (restartPolicy.unhealthyThreshold)'),
+  appHealthy: metrics.gauge('gateway_app_healthy', 'Result of the last health check (1 healthy, 0 failing); absent without a health check'),
+  appCpu: metrics.gauge('gateway_app_cpu_percent', 'CPU use of the app process tree (100 = one core), Linux only'),
+  appMemory: metrics.gauge('gateway_app_memory_bytes', 'Resident memory of the app process tree, Linux only'),
+  heapUsed: metrics.gauge('gateway_heap_used_bytes', 'V8 heap in use by the gateway process'),
+  heapTotal: metrics.gauge('gateway_heap_total_bytes', 'V8 heap allocated by the gateway process'),
+  rss: metrics.gauge('gateway_resident_memory_bytes', 'Resident memory of the gateway process'),
+  loopLag: metrics.gauge('gateway_event_loop_lag_seconds', 'Event loop delay since the previous scrape'),
+  uptime: metrics.gauge('gateway_uptime_seconds', 'Seconds since the gateway started')
+};
+const openConnections = { http: 0, https: 0 };
+const LOOP_RESOLUTION_MS = 20;
+const loopDelay = monitorEventLoopDelay({ resolution: LOOP_RESOLUTION_MS });
+loopDelay.enable();
+
+// Gateway process health: heap, RSS and event loop lag checked against
+// cfg.performance.thresholds; alerts go to the console, the admin WebSocket
+// (as 'perf-alert' manager events) and GET /admin/alerts
+const perfCfg = cfg.performance || {};
+const perfMonitor = perfCfg.enabled === false ? null : new PerformanceMonitor({ thresholds: perfCfg.thresholds, historySize: perfCfg.historySize, processes: false });
+if (perfMonitor) {
+  perfMonitor.on('alert', a => {
+    if (a.state === 'firing') console.warn(`[perf] ${a.message}`); else console.log(`[perf] resolved: ${a.message}`);
+    manager.emit('perf-alert', a);
+  });
+  perfMonitor.start(perfCfg.intervalMs || 5000);
+}
+
+// Last hour / day of per-host request, latency, CPU and memory figures for the
+// admin UI charts (GET /admin/apps/:host/metrics)
+const series = new TimeSeriesStore({
+  sample: () => manager.listApps().map(app => {
+    const rt = manager.runtime(app.host);
+    return { host: app.host.toLowerCase(), cpu: rt.cpu, memoryMb: rt.memoryMb, restarts: rt.restarts + rt.unhealthyRestarts };
+  })
+});
+series.start();
+manager.on('app-removed', e => series.forget(e.host.toLowerCase()));
+
+// Count a request once its response is done (499 when the client left first)
+function countRequest(host, res) {
+  const began = performance.now();
+  res.once('close', () => {
+    const status = res.headersSent ? res.statusCode : 499;
+    const ms = performance.now() - began;
+    const labels = { host, status: String(status) };
+    meters.requests.inc(labels);
+    meters.duration.observe(labels, ms / 1000);
+    series.recordRequest(host, status, ms);
+  });
+}
+
+metrics.collect(() => {
+  meters.activeRequests.set({}, inflight);
+  for (const [server, n] of Object.entries(openConnections)) meters.connections.set({ server }, n);
+  meters.websockets.set({}, openUpgrades.size);
+  meters.certCache.set({}, secureContextCache.size);
+  // App series are rebuilt so removed apps disappear
+  for (const g of [meters.appUp, meters.appUptime, meters.appRestarts, meters.appUnhealthyRestarts, meters.appHealthy, meters.appCpu, meters.appMemory]) g.reset();
+  for (const app of manager.listApps()) {
+    const host = app.host.toLowerCase();
+    const rt = manager.runtime(host);
+    if (app.start) {
+      meters.appUp.set({ host }, rt.running ? 1 : 0);
+      meters.appUptime.set({ host }, rt.running ? rt.uptimeMs / 1000 : 0);
+      meters.appRestarts.set({ host }, rt.restarts);
+      meters.appUnhealthyRestarts.set({ host }, rt.unhealthyRestarts);
+    }
+    if (rt.health) meters.appHealthy.set({ host }, rt.health.healthy ? 1 : 0);
+    if (typeof rt.cpu === 'number') meters.appCpu.set({ host }, rt.cpu);
+    if (rt.memoryMb !== undefined) meters.appMemory.set({ host }, Math.round(rt.memoryMb * 1024 * 1024));
+  }
+  const mem = process.memoryUsage();
+  meters.heapUsed.set({}, mem.heapUsed);
+  meters.heapTotal.set({}, mem.heapTotal);
+  meters.rss.set({}, mem.rss);
+  // Samples are timer intervals in nanoseconds (the sampling resolution is
+  // subtracted); reset so each scrape covers the time since the last one
+  const lag = (ns) => Math.max(0, ns / 1e6 - LOOP_RESOLUTION_MS) / 1000;
+  if (loopDelay.count) {
+    meters.loopLag.set({ quantile: '0.5' }, lag(loopDelay.percentile(50)));
+    meters.loopLag.set({ quantile: '0.99' }, lag(loopDelay.percentile(99)));
+    meters.loopLag.set({ quantile: '1' }, lag(loopDelay.max));
+  }
+  loopDelay.reset();
+  meters.uptime.set({}, process.uptime());
+});
+
 /* ----------------------- ACME + certificate store ------------------------ */
 const storeDir = path.resolve(__dirname, cfg.acme.configDir || "./storage");
 fs.mkdirSync(storeDir, { recursive: true });
 
+// Crash / health / certificate notifications (cfg.notifications); idle
+// unless at least one channel is configured
+const notifier = new Notifier(cfg.notifications, { certDir: storeDir });
+if (notifier.channels.size) {
+  notifier.attach(manager);
+  notifier.startCertChecks();
+}
+
 const challenges = new Map(); // token -> keyAuthorization
 
 const client = new acme.Client({
@@ -91,6 +294,10 @@ async function ensureCert(hostname) {
         key: fs.readFileSync(keyPath),
         cert: fs.readFileSync(certPath)
       }).context.getCertificate();
+      // Names added to altNames since it was issued need a new certificate
+      const x = new crypto.X509Certificate(fs.readFileSync(certPath));
+      const missing = (hostMap.get(hostname)?.altNames || []).filter(n => !x.checkHost(n));
+      if (missing.length) throw new Error(`not valid for ${missing.join(', ')}`);
       // If valid for >10 days, reuse
       return { key: fs.readFileSync(keyPath), cert: fs.readFileSync(certPath), certPath, keyPath };
     } catch { /* fallthrough to renew */ }
@@ -278,6 +485,18 @@ manager.on('app-added', async (e) => {
   } catch (err) { console.error('cert ensure on app-added failed', err); }
 });
 
+// Names added to an app's altNames need a certificate that covers them
+manager.on('app-updated', async (e) => {
+  const before = (e.previous && e.previous.altNames) || [];
+  const added = (e.app.altNames || []).filter(n => !before.includes(n));
+  if (!added.length) return;
+  try {
+    for (const name of isLocalDomainName(e.host) ? added.filter(isLocalDomainName) : [e.host]) await ensureCert(name);
+    for (const name of [e.host, ...added]) secureContextCache.delete(name.toLowerCase());
+    console.log('[cert] ensured cert after altNames change for', e.host);
+  } catch (err) { console.error('cert ensure on app-updated failed', err); }
+});
+
 manager.on('app-start', async (e) => {
   try {
     const host = e && e.host ? e.host : null;
@@ -343,8 +562,61 @@ function selfSigned(hostname = "localhost") {
 /* ----------------------- Reverse proxy & SNI TLS ------------------------- */
 const proxy = httpProxy.createProxyServer({ xfwd: true });
 
+// Limits of proxied requests: an app's `proxy` settings over the top-level
+// `proxy` block. A timeout, maxBodyMb or retries of 0 turns that limit off.
+const PROXY_DEFAULTS = { connectTimeoutMs: 5000, responseTimeoutMs: 60000, idleTimeoutMs: 60000, maxBodyMb: 100, maxHeaderKb: 16, retries: 1 };
+const proxyDefaults = { ...PROXY_DEFAULTS, ...(cfg.proxy || {}) };
+function proxySettings(app) {
+  return { ...proxyDefaults, ...(app.proxy || {}) };
+}
+// Node rejects larger headers (431) before the host is known, so the server
+// limit is the largest one configured at startup; apps check their own below it
+const maxHeaderKb = Math.max(proxyDefaults.maxHeaderKb, ...(cfg.apps || []).map(a => a.proxy?.maxHeaderKb || 0));
+
+function headerBytes(req) {
+  return req.rawHeaders.reduce((n, h) => n + h.length + 2, 0);
+}
+
+// Upstream timeouts (`req._limits` is set by proxyWeb): connecting, waiting for
+// the response headers once the request is sent, and silence while the
+// response streams. They fail the attempt with ETIMEDOUT (connect, so it can
+// be retried) or ESOCKETTIMEDOUT.
+proxy.on('proxyReq', (proxyReq, req) => {
+  const limits = req._limits;
+  if (!limits) return;
+  req._proxyReq = proxyReq;
+  const fail = (code, message) => {
+    const err = new Error(message);
+    err.code = code;
+    proxyReq.destroy(err);
+  };
+  const timers = [];
+  proxyReq.once('close', () => timers.forEach(clearTimeout));
+  if (limits.connectTimeoutMs) {
+    proxyReq.once('socket', (socket) => {
+      if (!socket.connecting) return; // reused keep-alive connection
+      const t = setTimeout(() => fail('ETIMEDOUT', `connect timeout after ${limits.connectTimeoutMs}ms`), limits.connectTimeoutMs);
+      timers.push(t);
+      socket.once('connect', () => clearTimeout(t));
+    });
+  }
+  let responded = false;
+  proxyReq.once('response', () => {
+    responded = true;
+    timers.forEach(clearTimeout);
+    if (limits.idleTimeoutMs) proxyReq.setTimeout(limits.idleTimeoutMs, () => fail('ESOCKETTIMEDOUT', `upstream idle for ${limits.idleTimeoutMs}ms`));
+  });
+  if (limits.responseTimeoutMs) {
+    proxyReq.once('finish', () => {
+      if (!responded) timers.push(setTimeout(() => fail('ESOCKETTIMEDOUT', `no response within ${limits.responseTimeoutMs}ms`), limits.responseTimeoutMs));
+    });
+  }
+});
+
 // Rewrite backend Location headers and Set-Cookie domains so the browser only sees the public host
 proxy.on('proxyRes', (proxyRes, req, res) => {
+  req._access?.upstreamResponded();
+  if (req._upstream) recordOutcome(req._app, req._upstream, { status: proxyRes.statusCode });
   try {
     const publicHostFull = (req.headers.host || '');
     const publicHost = publicHostFull.split(':')[0];
@@ -447,6 +719,7 @@ setInterval(() => {
 //  - serves ACME HTTP-01 challenges at /.well-known/acme-challenge/{token}
 //  - redirects everything else to HTTPS (ensuring redirect uses HTTPS_PORT, not incoming :8080)
 let adminHandler; // assigned after install
+let closeAdminStreams = () => {}; // ends admin SSE log streams on shutdown
 const httpSrv = http.createServer(async (req, res) => {
   if (adminHandler && req.url && req.url.startsWith('/admin')) {
   const done = adminHandler(req, res);
@@ -500,6 +773,7 @@ async function getSecureContext(servername) {
 }
 
 const httpsSrv = https.createServer({
+  maxHeaderSize: maxHeaderKb * 1024,
   SNICallback: (servername, cb) => {
     // allow async SNI
     getSecureContext(servername)
@@ -511,32 +785,82 @@ const httpsSrv = https.createServer({
   }
 }, async (req, res) => {
   const host = (req.headers.host || "").toLowerCase().split(":")[0];
-  const app = hostMap.get(host);
-  if (!app) { res.writeHead(502); res.end("Unknown host"); return; }
+  const hostApp = hostMap.get(host);
+  if (!hostApp) { res.writeHead(502); res.end("Unknown host"); return; }
+  const hostKey = hostApp.host.toLowerCase();
+  // Only configured hosts are logged and counted (arbitrary Host headers must not create log dirs or series)
+  countRequest(hostKey, res);
+  if (accessLog) req._access = accessLog.track(req, res, hostKey);
+  const app = routeRequest(hostApp, req);
+  if (!app) { res.writeHead(502); res.end("Unknown route target"); return; }
+  const limits = proxySettings(app);
+  if (headerBytes(req) > limits.maxHeaderKb * 1024) {
+    res.writeHead(431, { 'Content-Type': 'text/plain', Connection: 'close' });
+    res.end(`Request headers larger than ${limits.maxHeaderKb}KB`);
+    return;
+  }
+  if (limits.maxBodyMb && Number(req.headers['content-length']) > limits.maxBodyMb * 1024 * 1024) {
+    res.writeHead(413, { 'Content-Type': 'text/plain', Connection: 'close' });
+    res.end(`Request body larger than ${limits.maxBodyMb}MB`);
+    return;
+  }
 
   // Ensure app is healthy before proxying
-  // First, ensure process (if start command defined) is actually running
+  // First, ensure process (if start command defined) is actually running or about to be
+  let rt = null;
   try {
-    if (app.start) {
-      const rt = manager.runtime(app.host);
-      if (!rt.running) {
-        res.writeHead(503, { 'Content-Type': 'text/plain' });
-        res.end('App process not running (host: ' + app.host + ')');
-        return;
-      }
-    }
+    if (hostMap.get(app.host.toLowerCase()) === app) rt = manager.runtime(app.host);
   } catch (e) {
     // If runtime lookup fails, continue to proxy logic (best effort)
   }
-  const healthy = await waitHealthy(app);
-  if (!healthy && app.healthUrl) {
-    // Provide a more descriptive upstream failure response instead of a generic Bad Gateway later
-    res.writeHead(502, { 'Content-Type': 'text/plain' });
-    res.end('Upstream health check failed for host: ' + app.host + ' url: ' + app.healthUrl);
-    return;
+  if (rt) manager.touch(app.host);
+  if (app.start && rt && !rt.running && !rt.restartPending) {
+    if (!app.onDemand || app.disabled) {
+      res.writeHead(503, { 'Content-Type': 'text/plain' });
+      res.end('App process not running (host: ' + app.host + ')');
+      return;
+    }
+    // Scale from zero: launch the app on its first request and hold it until ready
+    try {
+      rt = await startOnDemand(app);
+    } catch (e) {
+      res.writeHead(503, { 'Content-Type': 'text/plain' });
+      res.end('App failed to start (host: ' + app.host + '): ' + e.message);
+      return;
+    }
+    if (!hasHealthCheck(app) && !(await manager.waitReady(app.host, holdQueue.defaults.timeoutMs))) {
+      res.writeHead(502, { 'Content-Type': 'text/plain' });
+      res.end('App did not become ready (host: ' + app.host + ')');
+      return;
+    }
+  }
+  // Then hold the request until the app reports healthy (startup, restart or a failed check)
+  if (mustHold(app, rt)) {
+    const opts = { ...holdQueue.defaults, ...(app.queue || {}) };
+    manager.probeUntilHealthy(app.host, opts.timeoutMs);
+    const outcome = await holdQueue.hold(app.host.toLowerCase(), opts, res);
+    if (outcome === 'aborted') return;
+    if (outcome === 'full') {
+      res.writeHead(503, { 'Content-Type': 'text/plain', 'Retry-After': '5' });
+      res.end('Too many requests waiting for host: ' + app.host);
+      return;
+    }
+    if (outcome === 'failed') {
+      res.writeHead(503, { 'Content-Type': 'text/plain' });
+      res.end('App process not running (host: ' + app.host + ')');
+      return;
+    }
+    if (outcome === 'timeout') {
+      // Provide a more descriptive upstream failure response instead of a generic Bad Gateway later
+      res.writeHead(502, { 'Content-Type': 'text/plain' });
+      const health = manager.runtime(app.host).health;
+      res.end('Upstream health check failed for host: ' + app.host + (health?.error ? ': ' + health.error : ''));
+      return;
+    }
   }
   // If this app is configured to serve static files, do that instead of proxying
   if (app.staticDir) {
+    if (req._access) req._access.upstream = 'static';
     try {
       // Serve files from the configured staticDir. Protect against path traversal.
       const urlPath = decodeURIComponent((req.url || '/').split('?')[0]);
@@ -573,11 +897,75 @@ const httpsSrv = https.createServer({
     }
   }
 
-  // Build upstream target (support app.upstream or local port fallback)
-  const upstream = app.upstream || (app.port ? { protocol: 'http', host: '127.0.0.1', port: app.port } : { protocol: 'http', host: '127.0.0.1', port: 80 });
+  const upstream = upstreamFor(app);
+  if (!upstream) {
+    res.writeHead(503, { 'Content-Type': 'text/plain' });
+    res.end('No healthy upstream for host: ' + app.host);
+    return;
+  }
+  req._access?.upstreamStarted();
+  proxyWeb(app, req, res, upstream, new Set(), hostKey);
+});
+
+// Errors where the upstream was never reached, so the request can go elsewhere
+const CONNECT_ERRORS = new Set(['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT']);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'TRACE', 'PUT', 'DELETE']);
+
+// A failed attempt can only be repeated when the request body was not
+// streamed into it
+function canRetry(app, req, res, err, tried) {
+  if (!CONNECT_ERRORS.has(err?.code) || !IDEMPOTENT_METHODS.has(req.method) || res.headersSent) return false;
+  if (req.headers['transfer-encoding'] || Number(req.headers['content-length']) > 0) return false;
+  return tried.size <= req._limits.retries && isPooled(app);
+}
+
+// Chunked bodies have no Content-Length up front; they are counted as they
+// stream and the upstream request is cut off with 413 once over the limit
+function limitBody(req, res, limits) {
+  const max = limits.maxBodyMb * 1024 * 1024;
+  if (!max || !(req.headers['transfer-encoding'] || Number(req.headers['content-length']) > 0)) return;
+  let received = 0;
+  req.on('data', (chunk) => {
+    received += chunk.length;
+    if (received <= max || req._rejected) return;
+    req._rejected = true;
+    if (!res.headersSent) {
+      res.writeHead(413, { 'Content-Type': 'text/plain', Connection: 'close' });
+      res.end(`Request body larger than ${limits.maxBodyMb}MB`);
+    } else {
+      res.destroy();
+    }
+    req._proxyReq?.destroy();
+  });
+}
+
+function proxyWeb(app, req, res, upstream, tried, hostKey) {
+  if (!tried.size) {
+    req._limits = proxySettings(app);
+    limitBody(req, res, req._limits);
+  }
+  tried.add(upstreamKey(upstream));
   const target = `${upstream.protocol}://${upstream.host}:${upstream.port}`;
+  req._app = app;
+  req._upstream = upstream;
   req._upstreamHost = upstream.host;
   req._upstreamProtocol = upstream.protocol;
+  if (req._access) req._access.upstream = target;
+  // Held until the response closes, or until this attempt fails so a retry
+  // does not leave the failed upstream counted as busy
+  balancer.acquire(upstream);
+  let held = true;
+  const release = () => {
+    if (!held) return;
+    held = false;
+    res.off('close', release);
+    balancer.release(upstream);
+  };
+  res.once('close', release);
+  // xfwd appends to X-Forwarded-* on every attempt; a retry starts from the client's values
+  if (req._forwarded) Object.assign(req.headers, req._forwarded);
+  else req._forwarded = Object.fromEntries(['for', 'port', 'proto', 'host'].map(h => [`x-forwarded-${h}`, req.headers[`x-forwarded-${h}`]]));
+  for (const [h, v] of Object.entries(req._forwarded)) if (v === undefined) delete req.headers[h];
 
   // Respect preserveHost: when true, forward the original Host header to upstream
   const proxyOpts = { target, changeOrigin: !app.preserveHost };
@@ -587,22 +975,62 @@ const httpsSrv = https.createServer({
   }
 
   proxy.web(req, res, proxyOpts, (err) => {
-    console.error(`[proxy:${host}]`, err?.message);
-    if (!res.headersSent) {
-      res.writeHead(502);
+    release();
+    if (req._rejected) return; // cut off by limitBody, already answered
+    console.error(`[proxy:${hostKey}]`, err?.message);
+    meters.upstreamErrors.inc({ host: hostKey, code: err?.code || 'unknown' });
+    recordOutcome(app, upstream, { error: err?.code || err?.message || 'error' });
+    if (canRetry(app, req, res, err, tried)) {
+      const next = upstreamFor(app, tried);
+      if (next) {
+        console.warn(`[proxy:${hostKey}] ${req.method} ${req.url}: ${target} unreachable (${err.code}); retrying on ${next.protocol}://${next.host}:${next.port}`);
+        meters.upstreamRetries.inc({ host: hostKey });
+        return proxyWeb(app, req, res, next, tried, hostKey);
+      }
+    }
+    // Timeouts after the response started leave nothing to answer; the client sees the connection drop
+    if (res.headersSent) return res.destroy();
+    if (err?.code === 'ETIMEDOUT' || err?.code === 'ESOCKETTIMEDOUT') {
+      res.writeHead(504, { 'Content-Type': 'text/plain' });
+      return res.end('Gateway timeout: ' + err.message);
     }
+    res.writeHead(502);
     res.end("Bad gateway");
   });
-});
+}
 
 // Basic hardening for proxy upgrades (WebSockets)
 httpsSrv.on("upgrade", (req, socket, head) => {
   const host = (req.headers.host || "").toLowerCase().split(":")[0];
-  const app = hostMap.get(host);
-  if (!app) return socket.destroy();
+  const hostApp = hostMap.get(host);
+  if (!hostApp) return socket.destroy();
+  const app = routeRequest(hostApp, req);
+  // Static routes have nothing to upgrade to
+  if (!app || app.staticDir) return socket.destroy();
+  if (headerBytes(req) > proxySettings(app).maxHeaderKb * 1024) return socket.destroy();
+  meters.upgrades.inc({ host: hostApp.host.toLowerCase() });
+  if (hostMap.get(app.host.toLowerCase()) === app) {
+    manager.touch(app.host);
+    const rt = manager.runtime(app.host);
+    if (app.start && app.onDemand && !app.disabled && !rt.running && !rt.restartPending) {
+      // Park the upgrade until the on-demand app is up, then proxy it
+      startOnDemand(app)
+        .then(() => hasHealthCheck(app)
+          ? holdQueue.hold(app.host.toLowerCase(), { ...holdQueue.defaults, ...(app.queue || {}) }, socket).then(o => o === 'released')
+          : manager.waitReady(app.host, holdQueue.defaults.timeoutMs))
+        .then(ok => { if (ok && !socket.destroyed) proxyUpgrade(app, req, socket, head); else socket.destroy(); }, () => socket.destroy());
+      return;
+    }
+  }
+  proxyUpgrade(app, req, socket, head);
+});
 
+function proxyUpgrade(app, req, socket, head) {
   // Build upstream target for websocket proxy
-  const upstream = app.upstream || (app.port ? { protocol: 'http', host: '127.0.0.1', port: app.port } : { protocol: 'http', host: '127.0.0.1', port: 80 });
+  const upstream = upstreamFor(app);
+  if (!upstream) return socket.destroy();
+  balancer.acquire(upstream);
+  socket.once('close', () => balancer.release(upstream));
   const target = `${upstream.protocol}://${upstream.host}:${upstream.port}`;
   const wsOpts = { target, changeOrigin: !app.preserveHost };
   if (upstream.protocol === 'https') wsOpts.secure = upstream.rejectUnauthorized !== false;
@@ -610,8 +1038,13 @@ httpsSrv.on("upgrade", (req, socket, head) => {
     wsOpts.headers = Object.assign({}, req.headers, { Host: req.headers.host });
   }
 
-  proxy.ws(req, socket, head, wsOpts);
-});
+  proxy.ws(req, socket, head, wsOpts, (err) => {
+    console.error(`[proxy:ws:${app.host}]`, err?.message);
+    meters.upstreamErrors.inc({ host: app.host.toLowerCase(), code: err?.code || 'unknown' });
+    recordOutcome(app, upstream, { error: err?.code || err?.message || 'error' });
+    socket.destroy();
+  });
+}
 
 /* ------------------------------ Start servers ---------------------------- */
 function startServers() {
@@ -631,8 +1064,9 @@ function startServers() {
   } catch (e) {
     console.error('Failed to initialize admin WS:', e);
   }
-  const api = installAdminApi(httpSrv, { manager, token: adminToken, certInstaller: ensureCert, adminWs });
+  const api = installAdminApi(httpSrv, { manager, token: adminToken, certInstaller: ensureCert, adminWs, accessLog, metrics, series, perfMonitor, notifier, passiveHealth });
   adminHandler = api.handle;
+  closeAdminStreams = api.closeStreams;
 }
 
 // Handle port conflicts
@@ -670,6 +1104,8 @@ startServers();
 // Diagnostic: log unexpected exits and errors to help debugging
 process.on('exit', (code) => {
   try { console.log('process.exit event, code=' + code); } catch(_){}
+  // Apps are in their own process groups; don't leave any behind
+  try { manager.killAll(); } catch(_){}
 });
 process.on('uncaughtException', (err) => {
   try { console.error('uncaughtException:', err && err.stack ? err.stack : err); } catch(_){}
@@ -678,24 +1114,62 @@ process.on('unhandledRejection', (reason) => {
   try { console.error('unhandledRejection:', reason); } catch(_){}
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('Shutting down servers...');
-  httpSrv.close(() => console.log('HTTP server closed'));
-  httpsSrv.close(() => console.log('HTTPS server closed'));
-  // Kill child processes
-  for (const app of manager.listApps()) {
-    try { manager.stop(app.host); } catch {}
-  }
-  process.exit(0);
+// Graceful shutdown: stop accepting connections, let in-flight requests and
+// proxied WebSockets finish (up to shutdownTimeoutMs), then stop the apps
+// (SIGTERM, SIGKILL after each app's stopTimeoutMs). A second signal exits at once.
+let shuttingDown = false;
+let inflight = 0;
+const openUpgrades = new Set(); // proxied WebSocket sockets
+for (const srv of [httpSrv, httpsSrv]) {
+  srv.prependListener('request', (req, res) => {
+    inflight++;
+    res.once('close', () => inflight--);
+    if (shuttingDown) res.setHeader('Connection', 'close'); // no new requests on kept-alive sockets
+  });
+}
+for (const [name, srv] of [['http', httpSrv], ['https', httpsSrv]]) {
+  srv.on('connection', (socket) => {
+    openConnections[name]++;
+    socket.once('close', () => openConnections[name]--);
+  });
+}
+httpsSrv.on('upgrade', (req, socket) => {
+  openUpgrades.add(socket);
+  socket.once('close', () => openUpgrades.delete(socket));
 });
 
-process.on('SIGTERM', () => {
-  console.log('Shutting down servers...');
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.log(`${signal} received again; exiting without waiting`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  const timeoutMs = cfg.shutdownTimeoutMs ?? 10000;
+  console.log(`Shutting down servers (${signal}); draining connections for up to ${timeoutMs}ms...`);
   httpSrv.close(() => console.log('HTTP server closed'));
   httpsSrv.close(() => console.log('HTTPS server closed'));
-  for (const app of manager.listApps()) {
-    try { manager.stop(app.host); } catch {}
+  closeAdminStreams();
+  const deadline = Date.now() + timeoutMs;
+  while ((inflight > 0 || openUpgrades.size > 0) && Date.now() < deadline) {
+    httpSrv.closeIdleConnections();
+    httpsSrv.closeIdleConnections();
+    await new Promise(r => setTimeout(r, 100));
+  }
+  if (inflight || openUpgrades.size) {
+    console.log(`[shutdown] drain timeout: closing ${inflight} request(s) and ${openUpgrades.size} WebSocket(s)`);
   }
+  for (const socket of openUpgrades) socket.destroy();
+  httpSrv.closeAllConnections();
+  httpsSrv.closeAllConnections();
+  console.log('Stopping apps...');
+  try { await manager.shutdown(); } catch (e) { console.error('App shutdown failed:', e); }
+  notifier.stop();
+  await accessLog?.close();
   process.exit(0);
-});
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+// Apps don't get the terminal's SIGHUP themselves (own process groups), so a
+// closed terminal stops them through the gateway
+process.on('SIGHUP', () => shutdown('SIGHUP'));
@@ -0,0 +1,186 @@
+// Health probes for managed apps and upstreams.
+//
+// A probe is one of:
+//  - http: request a URL and check the status (and optionally the body)
+//  - tcp:  open a TCP connection
+//  - exec: run a command; exit code 0 means healthy
+//
+// An app's probe comes from its `healthCheck` object, or from the older
+// `healthUrl` shorthand (an HTTP GET expecting 200-399). The same probe runs
+// in two phases: the startup probe polls quickly after a (re)start until the
+// app passes once, then the liveness probe runs every intervalMs and only
+// flips the state after `rise` passes or `fall` failures in a row.
+
+import net from 'node:net';
+import { spawn } from 'node:child_process';
+import { request } from 'undici';
+
+export const PROBE_TYPES = ['http', 'tcp', 'exec'];
+
+export const PROBE_DEFAULTS = { timeoutMs: 5000, rise: 2, fall: 3, expectStatus: '200-399' };
+export const STARTUP_DEFAULTS = { intervalMs: 500, maxWaitMs: 30000 };
+
+const MAX_BODY = 64 * 1024; // bytes of the response body checked against expectBody
+
+// "200-299,304,5xx" -> code => boolean
+export function statusMatcher(spec = PROBE_DEFAULTS.expectStatus) {
+  const tests = String(spec).split(',').map(s => s.trim()).filter(Boolean).map(part => {
+    let m;
+    if ((m = /^([1-5])xx$/i.exec(part))) return (c) => Math.floor(c / 100) === Number(m[1]);
+    if ((m = /^(\d{3})-(\d{3})$/.exec(part))) return (c) => c >= Number(m[1]) && c <= Number(m[2]);
+    return (c) => c === Number(part);
+  });
+  return (code) => tests.some(t => t(code));
+}
+
+// Where an app is reached when the probe does not say: its local port, or
+// its single `upstream`
+function defaultTarget(app) {
+  if (app.port) return { protocol: 'http', host: '127.0.0.1', port: Number(app.port) };
+  if (app.upstream) return { protocol: app.upstream.protocol || 'http', host: app.upstream.host || '127.0.0.1', port: app.upstream.port };
+  return null;
+}
+
+// Effective probe of an app, or null when it has no health check. The result
+// is complete: url (http), host/port (tcp) or command (exec), thresholds and
+// the `startup` variant.
+export function probeConfig(app, { intervalMs = 15000 } = {}) {
+  if (!app) return null;
+  const hc = app.healthCheck;
+  if (!hc && !app.healthUrl) return null;
+  const probe = { type: 'http', intervalMs: app.healthIntervalMs || intervalMs, ...PROBE_DEFAULTS, ...(hc || {}) };
+  delete probe.startup;
+  const target = defaultTarget(app);
+  if (probe.type === 'http' && !probe.url) {
+    if (app.healthUrl) probe.url = app.healthUrl;
+    else if (target) probe.url = `${target.protocol}://${target.host}:${target.port}${probe.path || '/'}`;
+    else return null;
+  }
+  if (probe.type === 'tcp') {
+    probe.host = probe.host || target?.host || '127.0.0.1';
+    probe.port = probe.port || target?.port;
+    if (!probe.port) return null;
+  }
+  if (probe.type === 'exec' && !probe.command) return null;
+  probe.startup = { ...probe, ...STARTUP_DEFAULTS, ...(hc?.startup || {}), rise: 1, fall: 1 };
+  delete probe.startup.startup;
+  return probe;
+}
+
+export function hasHealthCheck(app) {
+  return !!probeConfig(app);
+}
+
+// The probe aimed at another address (an upstream of a pool, or a managed
+// instance on a moved port). HTTP keeps its path; exec probes can't be
+// re-aimed and fall back to a TCP connect.
+export function probeAt(probe, target) {
+  if (probe.type === 'tcp' || probe.type === 'exec') {
+    return { ...probe, type: 'tcp', host: target.host || '127.0.0.1', port: target.port };
+  }
+  try {
+    const u = new URL(probe.url);
+    return { ...probe, url: `${target.protocol || 'http'}://${target.host || '127.0.0.1'}:${target.port}${u.pathname}${u.search}` };
+  } catch {
+    return probe;
+  }
+}
+
+// Probe of one upstream of a pool: its own healthUrl, or the app's probe
+// aimed at it; null when there is neither
+export function upstreamProbe(probe, u) {
+  if (u.healthUrl) return { ...(probe?.type === 'http' ? probe : { ...PROBE_DEFAULTS, type: 'http' }), url: u.healthUrl };
+  return probe ? probeAt(probe, u) : null;
+}
+
+async function probeHttp(probe) {
+  const res = await request(probe.url, {
+    method: probe.method || 'GET',
+    headers: probe.headers,
+    signal: AbortSignal.timeout(probe.timeoutMs)
+  });
+  const out = { statusCode: res.statusCode };
+  let bodyOk = true;
+  if (probe.expectBody) {
+    let body = '';
+    for await (const chunk of res.body) {
+      body += chunk;
+      if (body.length >= MAX_BODY) break;
+    }
+    res.body.destroy?.();
+    bodyOk = new RegExp(probe.expectBody).test(body.slice(0, MAX_BODY));
+  } else {
+    await res.body.dump().catch(() => {});
+  }
+  const statusOk = statusMatcher(probe.expectStatus)(res.statusCode);
+  out.healthy = statusOk && bodyOk;
+  if (!statusOk) out.error = `unexpected status ${res.statusCode}`;
+  else if (!bodyOk) out.error = `body does not match ${probe.expectBody}`;
+  return out;
+}
+
+function probeTcp(probe) {
+  return new Promise(resolve => {
+    const sock = net.connect({ host: probe.host, port: probe.port });
+    const done = (error) => { sock.destroy(); resolve(error ? { healthy: false, error } : { healthy: true }); };
+    sock.setTimeout(probe.timeoutMs, () => done(`connect timeout after ${probe.timeoutMs}ms`));
+    sock.once('connect', () => done(null));
+    sock.once('error', (e) => done(e.message));
+  });
+}
+
+// The command runs through the shell in the app's cwd; its last output line
+// becomes the error message when it fails
+function probeExec(probe, { cwd, env } = {}) {
+  return new Promise(resolve => {
+    let output = '';
+    let child;
+    try {
+      // Own process group (POSIX), so a timeout also ends what the shell started
+      child = spawn(probe.command, { shell: true, cwd, env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'], detached: process.platform !== 'win32', windowsHide: true });
+    } catch (e) { return resolve({ healthy: false, error: e.message }); }
+    const keep = (d) => { output = (output + d).slice(-1000); };
+    child.stdout.on('data', keep);
+    child.stderr.on('data', keep);
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try { process.kill(-child.pid, 'SIGKILL'); } catch { child.kill('SIGKILL'); }
+    }, probe.timeoutMs);
+    child.on('error', (e) => { clearTimeout(timer); resolve({ healthy: false, error: e.message }); });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve({ healthy: true });
+      const last = output.trim().split('\n').pop();
+      const why = timedOut ? `timed out after ${probe.timeoutMs}ms` : `exited with ${signal || `code ${code}`}`;
+      resolve({ healthy: false, error: last ? `${why}: ${last.slice(0, 200)}` : why });
+    });
+  });
+}
+
+// Run one probe: { healthy, statusCode, latencyMs, lastChecked, error? }
+export async function runProbe(probe, opts) {
+  const started = Date.now();
+  let result;
+  try {
+    if (probe.type === 'tcp') result = await probeTcp(probe);
+    else if (probe.type === 'exec') result = await probeExec(probe, opts);
+    else result = await probeHttp(probe);
+  } catch (e) {
+    result = { healthy: false, error: e.name === 'TimeoutError' ? `timeout after ${probe.timeoutMs}ms` : e.message };
+  }
+  return { healthy: result.healthy, statusCode: result.statusCode || 0, latencyMs: Date.now() - started, lastChecked: Date.now(), ...(result.error ? { error: result.error } : {}) };
+}
+
+// Fold a probe result into the previous state. `healthy` changes only after
+// `rise` passes / `fall` failures in a row; a state without a verdict yet
+// takes the first result as it is.
+export function nextState(prev, result, { rise = 1, fall = 1 } = {}) {
+  const successes = result.healthy ? (prev?.successes || 0) + 1 : 0;
+  const failures = result.healthy ? 0 : (prev?.failures || 0) + 1;
+  let healthy = prev?.healthy;
+  if (typeof healthy !== 'boolean' || prev.error === 'starting' || prev.error === 'process exited') healthy = result.healthy;
+  else if (!healthy && successes >= rise) healthy = true;
+  else if (healthy && failures >= fall) healthy = false;
+  return { ...result, healthy, successes, failures };
+}
@@ -0,0 +1,53 @@
+// Per-host queue that parks requests while an app is starting, restarting or
+// unhealthy. Entries are released (or failed) in arrival order by the gateway
+// when the manager reports a health change, or time out individually.
+
+export class HoldQueue {
+  constructor(defaults = {}) {
+    this.defaults = { maxDepth: 100, timeoutMs: 15000, ...defaults };
+    this.queues = new Map(); // host -> [{ finish }]
+  }
+
+  depth(host) {
+    return this.queues.get(host)?.length || 0;
+  }
+
+  // Resolves to 'released', 'failed', 'timeout', 'aborted' (client went away)
+  // or 'full' (max depth reached; nothing was queued).
+  hold(host, opts = {}, res) {
+    const maxDepth = opts.maxDepth ?? this.defaults.maxDepth;
+    const timeoutMs = opts.timeoutMs ?? this.defaults.timeoutMs;
+    if (!this.queues.has(host)) this.queues.set(host, []);
+    const q = this.queues.get(host);
+    if (q.length >= maxDepth) return Promise.resolve('full');
+    return new Promise(resolve => {
+      const entry = {};
+      const timer = setTimeout(() => entry.finish('timeout'), timeoutMs);
+      const onClose = () => entry.finish('aborted');
+      entry.finish = (outcome) => {
+        clearTimeout(timer);
+        res?.off('close', onClose);
+        const i = q.indexOf(entry);
+        if (i !== -1) q.splice(i, 1);
+        if (!q.length) this.queues.delete(host);
+        resolve(outcome);
+      };
+      res?.once('close', onClose);
+      q.push(entry);
+    });
+  }
+
+  release(host) {
+    this._flush(host, 'released');
+  }
+
+  fail(host) {
+    this._flush(host, 'failed');
+  }
+
+  _flush(host, outcome) {
+    const q = this.queues.get(host);
+    if (!q) return;
+    for (const entry of q.slice()) entry.finish(outcome);
+  }
+}
@@ -0,0 +1,123 @@
+// Upstream selection for hosts that list several backends in `upstreams`.
+//
+// Strategies (app.balance):
+//  - round-robin (default): rotate through healthy upstreams in order
+//  - weighted: smooth weighted round-robin using each upstream's `weight`
+//  - least-connections: fewest in-flight requests, relative to weight
+
+export const STRATEGIES = ['round-robin', 'weighted', 'least-connections'];
+
+export function upstreamKey(u) {
+  return `${u.protocol || 'http'}://${u.host || '127.0.0.1'}:${u.port}`;
+}
+
+// Number of processes an app runs (`instances`, at least 1)
+export function instanceCount(app) {
+  const n = parseInt(app?.instances, 10);
+  return n > 1 ? n : 1;
+}
+
+// True when requests for the app are spread over more than one backend
+export function isPooled(app) {
+  return (Array.isArray(app.upstreams) && app.upstreams.length > 0) || (instanceCount(app) > 1 && !!app.port);
+}
+
+// Normalized list of upstreams for an app: `upstreams` when present, one entry
+// per managed instance (consecutive ports from `port`) for multi-instance apps,
+// otherwise the single `upstream` (or local port fallback). `portOf(index)` may
+// supply the live port of a managed instance (it moves during reloads).
+export function listUpstreams(app, portOf) {
+  const port = (i) => (portOf && portOf(i)) || Number(app.port) + i;
+  if (Array.isArray(app.upstreams) && app.upstreams.length) {
+    return app.upstreams.map(u => ({
+      ...u,
+      protocol: u.protocol || 'http',
+      host: u.host || '127.0.0.1',
+      weight: Number(u.weight) > 0 ? Number(u.weight) : 1
+    }));
+  }
+  if (instanceCount(app) > 1 && app.port) {
+    return Array.from({ length: instanceCount(app) }, (_, i) => ({
+      protocol: 'http', host: '127.0.0.1', port: port(i), weight: 1, instance: i
+    }));
+  }
+  const single = app.upstream || (app.port ? { protocol: 'http', host: '127.0.0.1', port: port(0) } : { protocol: 'http', host: '127.0.0.1', port: 80 });
+  return [{ ...single, weight: 1 }];
+}
+
+export class LoadBalancer {
+  constructor() {
+    this.rrIndex = new Map(); // host -> next index
+    this.swrr = new Map(); // host -> Map(upstream key -> current weight)
+    this.active = new Map(); // upstream key -> in-flight count
+  }
+
+  // Pick an upstream from `list`. `isHealthy(u)` filters ejected backends;
+  // returns null when none are left.
+  pick(host, list, strategy, isHealthy = () => true) {
+    const candidates = list.filter(u => isHealthy(u));
+    if (!candidates.length) return null;
+    if (candidates.length === 1) return candidates[0];
+    switch (strategy) {
+      case 'weighted': return this._weighted(host, candidates);
+      case 'least-connections': return this._leastConnections(candidates);
+      default: return this._roundRobin(host, candidates);
+    }
+  }
+
+  _roundRobin(host, list) {
+    const i = (this.rrIndex.get(host) || 0) % list.length;
+    this.rrIndex.set(host, i + 1);
+    return list[i];
+  }
+
+  // Smooth weighted round-robin (as in nginx): spreads picks evenly instead of
+  // sending bursts to the heaviest upstream.
+  _weighted(host, list) {
+    if (!this.swrr.has(host)) this.swrr.set(host, new Map());
+    const current = this.swrr.get(host);
+    let total = 0;
+    let best = null;
+    for (const u of list) {
+      const k = upstreamKey(u);
+      const w = u.weight || 1;
+      const cw = (current.get(k) || 0) + w;
+      current.set(k, cw);
+      total += w;
+      if (!best || cw > current.get(upstreamKey(best))) best = u;
+    }
+    const bk = upstreamKey(best);
+    current.set(bk, current.get(bk) - total);
+    return best;
+  }
+
+  _leastConnections(list) {
+    let best = null;
+    let bestScore = Infinity;
+    for (const u of list) {
+      const score = (this.active.get(upstreamKey(u)) || 0) / (u.weight || 1);
+      if (score < bestScore) { best = u; bestScore = score; }
+    }
+    return best;
+  }
+
+  acquire(u) {
+    const k = upstreamKey(u);
+    this.active.set(k, (this.active.get(k) || 0) + 1);
+  }
+
+  release(u) {
+    const k = upstreamKey(u);
+    const n = (this.active.get(k) || 0) - 1;
+    if (n > 0) this.active.set(k, n); else this.active.delete(k);
+  }
+
+  connections(u) {
+    return this.active.get(upstreamKey(u)) || 0;
+  }
+
+  forget(host) {
+    this.rrIndex.delete(host);
+    this.swrr.delete(host);
+  }
+}
@@ -0,0 +1,100 @@
+// Log level detection and query filters for app log entries.
+//
+// Levels are read from structured JSON lines (pino/bunyan numeric levels or a
+// "level"/"severity" string), then from level=... / [LEVEL] / LEVEL: markers
+// near the start of the line, then from "SomethingError:" or
+// "SomethingWarning:" text. Anything else is "error" on stderr and "info" on
+// stdout.
+
+export const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const ALIASES = {
+  fatal: 'error', critical: 'error', crit: 'error', error: 'error', err: 'error',
+  warn: 'warn', warning: 'warn',
+  info: 'info', notice: 'info', log: 'info',
+  debug: 'debug', trace: 'debug', verbose: 'debug'
+};
+
+function numericLevel(n) {
+  if (n >= 50) return 'error';
+  if (n >= 40) return 'warn';
+  if (n >= 30) return 'info';
+  return 'debug';
+}
+
+const KEY_VALUE = /\b(?:level|lvl|severity)["']?\s*[=:]\s*["']?([a-z]+)/i;
+const MARKER = /(?:^|[\s[(<|])(fatal|critical|crit|error|err|warn|warning|info|notice|debug|trace|verbose)(?=[\])>|:\s-]|$)/i;
+const ERROR_TEXT = /\b[A-Z]?[a-zA-Z]*Error:|\bUnhandled(?:Promise)?Rejection\b|\buncaughtException\b/;
+const WARN_TEXT = /\b[A-Z][a-zA-Z]*Warning:/; // e.g. Node's "DeprecationWarning:"
+
+export function detectLevel(entry) {
+  const line = String(entry.line || '');
+  const trimmed = line.trimStart();
+  if (trimmed.startsWith('{')) {
+    try {
+      const obj = JSON.parse(trimmed);
+      const lv = obj.level ?? obj.severity ?? obj.lvl;
+      if (typeof lv === 'number') return numericLevel(lv);
+      if (typeof lv === 'string' && ALIASES[lv.toLowerCase()]) return ALIASES[lv.toLowerCase()];
+    } catch {}
+  }
+  const kv = KEY_VALUE.exec(line);
+  if (kv && ALIASES[kv[1].toLowerCase()]) return ALIASES[kv[1].toLowerCase()];
+  const marker = MARKER.exec(line.slice(0, 80));
+  if (marker) return ALIASES[marker[1].toLowerCase()];
+  if (ERROR_TEXT.test(line)) return 'error';
+  if (WARN_TEXT.test(line)) return 'warn';
+  return entry.stream === 'stderr' ? 'error' : 'info';
+}
+
+// Accepts epoch milliseconds or anything Date.parse understands
+export function parseTime(value, name = 'time') {
+  if (value === null || value === undefined || value === '') return undefined;
+  const t = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(t)) throw new Error(`invalid ${name}: ${value}`);
+  return t;
+}
+
+// `before` is a time, or the `<ts>:<n>` cursor returned as nextBefore by
+// LogStore.read: entries up to and including ts, minus the newest n at ts
+// (already on the page before). Returns { to, skip }.
+export function parseBefore(value) {
+  const m = /^(\d+):(\d+)$/.exec(String(value ?? ''));
+  if (m) return { to: Number(m[1]), skip: Number(m[2]) };
+  return { to: parseTime(value, 'before'), skip: 0 };
+}
+
+// Build a filter from query parameters:
+//   stream=stdout|stderr   level=error,warn   q=substring   regex=pattern
+//   from / to / before (epoch ms or ISO date; before is an alias of to that
+//   also takes a nextBefore cursor)
+// Returns { from, to, skip, active, match(entry) }; `active` is true when any
+// parameter was given. Throws on invalid values.
+export function compileLogFilter(params) {
+  const get = (k) => (params.get(k) || '').trim();
+  const stream = get('stream');
+  if (stream && stream !== 'stdout' && stream !== 'stderr') throw new Error('stream must be stdout or stderr');
+  const levels = get('level') ? get('level').toLowerCase().split(',').map(s => s.trim()).filter(Boolean) : [];
+  for (const l of levels) if (!LEVELS.includes(l)) throw new Error(`level must be one of: ${LEVELS.join(', ')}`);
+  const q = get('q').toLowerCase();
+  let rx = null;
+  if (get('regex')) {
+    try { rx = new RegExp(get('regex'), 'i'); } catch (e) { throw new Error(`invalid regex: ${e.message}`); }
+  }
+  const from = parseTime(get('from'), 'from');
+  const before = parseBefore(get('before'));
+  const to = before.to ?? parseTime(get('to'), 'to');
+  const skip = before.to !== undefined ? before.skip : 0;
+  const active = !!(stream || levels.length || q || rx || from !== undefined || to !== undefined);
+  const match = (entry) => {
+    if (stream && entry.stream !== stream) return false;
+    if (from !== undefined && entry.ts < from) return false;
+    if (to !== undefined && (skip ? entry.ts > to : entry.ts >= to)) return false;
+    const line = String(entry.line || '');
+    if (q && !line.toLowerCase().includes(q)) return false;
+    if (rx && !rx.test(line)) return false;
+    if (levels.length && !levels.includes(entry.level || detectLevel(entry))) return false;
+    return true;
+  };
+  return { from, to, skip, active, match };
+}
@@ -0,0 +1,196 @@
+// On-disk log history for managed apps.
+//
+// Every app-log entry is appended as one JSON line to
+// <dir>/<host>/app-<start timestamp>.log (the prefix and the line format can
+// be changed, as the access log does). When that file grows past maxSizeMb
+// or gets older than maxAgeHours a new one is started; finished files are
+// gzipped and only the newest maxFiles are kept. Files are never renamed while
+// open (Windows does not allow it). read() pages backwards through them by
+// time range.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { pipeline } from 'node:stream/promises';
+import { promisify } from 'node:util';
+
+const gunzip = promisify(zlib.gunzip);
+
+
+// Host names can contain characters (e.g. "*") that are not valid in file names
+function safeName(host) {
+  return host.toLowerCase().replace(/[^a-z0-9.-]/g, '_');
+}
+
+function stamp(ts) {
+  return new Date(ts).toISOString().replace(/[-:.]/g, '');
+}
+
+function stampTime(s) {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/.exec(s);
+  return m ? Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6], +m[7]) : 0;
+}
+
+export class LogStore {
+  constructor(options = {}) {
+    this.dir = options.dir || 'logs';
+    this.maxBytes = (Number(options.maxSizeMb) || 10) * 1024 * 1024;
+    this.maxAgeMs = (Number(options.maxAgeHours) || 24) * 3600 * 1000;
+    this.maxFiles = Number.isInteger(options.maxFiles) ? options.maxFiles : 10;
+    this.compress = options.compress !== false;
+    this.prefix = options.prefix || 'app';
+    this.serialize = options.serialize || JSON.stringify; // entry -> line
+    this.parse = options.parse || JSON.parse; // line -> entry with a numeric ts
+    this.fileRx = new RegExp(`^${this.prefix}-(\\d{8}T\\d{6}\\d{3}Z)\\.log(\\.gz)?$`);
+    this.files = new Map(); // host -> { file, stream, size, openedAt }
+    this.rotating = new Map(); // host -> promise of the gzip/prune of the last rotation
+  }
+
+  hostDir(host) {
+    return path.join(this.dir, safeName(host));
+  }
+
+  append(host, entry) {
+    const line = this.serialize(entry) + '\n';
+    let f = this._open(host);
+    if (f.size > 0 && (f.size + Buffer.byteLength(line) > this.maxBytes || Date.now() - f.openedAt > this.maxAgeMs)) {
+      this._rotate(host);
+      f = this._open(host, { fresh: true });
+    }
+    f.stream.write(line);
+    f.size += Buffer.byteLength(line);
+  }
+
+  _open(host, { fresh = false } = {}) {
+    let f = this.files.get(host);
+    if (f) return f;
+    const dir = this.hostDir(host);
+    fs.mkdirSync(dir, { recursive: true });
+    // Keep appending to the newest file left by a previous run unless it was finished
+    const newest = fresh ? null : this._listSync(host)[0];
+    const last = newest && !newest.gz ? newest : null;
+    const openedAt = last ? last.startedAt : Date.now();
+    const file = last ? last.file : path.join(dir, `${this.prefix}-${stamp(openedAt)}.log`);
+    let size = 0;
+    try { size = fs.statSync(file).size; } catch {}
+    const stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', (e) => console.error(`[logs] write failed for ${host}:`, e.message));
+    f = { file, stream, size, openedAt };
+    this.files.set(host, f);
+    return f;
+  }
+
+  // Close the current file and let the next append start a new one.
+  // Compression and pruning happen in the background.
+  _rotate(host) {
+    const f = this.files.get(host);
+    if (!f) return;
+    this.files.delete(host);
+    const closed = new Promise(resolve => f.stream.end(resolve));
+    const prev = this.rotating.get(host) || Promise.resolve();
+    const done = Promise.all([prev, closed])
+      .then(() => (this.compress ? this._gzip(f.file) : null))
+      .then(() => this._prune(host))
+      .catch(e => console.error(`[logs] rotate failed for ${host}:`, e.message));
+    this.rotating.set(host, done);
+  }
+
+  async _gzip(file) {
+    await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(file + '.gz'));
+    await fs.promises.unlink(file);
+  }
+
+  async _prune(host) {
+    // The file being written is the newest and is not counted
+    const current = this.files.get(host)?.file;
+    const old = (await this._list(host)).filter(x => x.file !== current).slice(this.maxFiles);
+    for (const r of old) await fs.promises.unlink(r.file).catch(() => {});
+  }
+
+  // Log files for a host, newest first
+  _listSync(host) {
+    let names = [];
+    try { names = fs.readdirSync(this.hostDir(host)); } catch { return []; }
+    return this._parseList(host, names);
+  }
+
+  async _list(host) {
+    let names = [];
+    try { names = await fs.promises.readdir(this.hostDir(host)); } catch { return []; }
+    return this._parseList(host, names);
+  }
+
+  _parseList(host, names) {
+    const dir = this.hostDir(host);
+    const byStamp = new Map();
+    for (const name of names) {
+      const m = this.fileRx.exec(name);
+      if (!m) continue;
+      // While a gzip is in flight both files exist; the plain one is complete
+      if (byStamp.has(m[1]) && m[2]) continue;
+      byStamp.set(m[1], { file: path.join(dir, name), startedAt: stampTime(m[1]), gz: !!m[2] });
+    }
+    return Array.from(byStamp.values()).sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  async _readEntries(file, gz) {
+    let buf;
+    try { buf = await fs.promises.readFile(file); } catch { return []; }
+    if (gz) {
+      try { buf = await gunzip(buf); } catch { return []; }
+    }
+    const out = [];
+    for (const line of buf.toString('utf8').split('\n')) {
+      if (!line) continue;
+      try {
+        const entry = this.parse(line);
+        if (entry) out.push(entry);
+      } catch {} // partial line from a crash
+    }
+    return out;
+  }
+
+  // Entries with from <= ts < to (either bound optional) that pass `filter`,
+  // newest `limit` returned oldest-first. With `skip`, entries at ts === to
+  // are included except the newest `skip` of them. `nextBefore` is the
+  // `before` to pass for the previous page, or null when the history is
+  // exhausted: the oldest ts on this page, or "<ts>:<n>" when the page starts
+  // partway through the entries of one millisecond (n of them are on it).
+  async read(host, { from = 0, to = Infinity, skip = 0, limit = 200, filter } = {}) {
+    const inRange = (e) => e.ts >= from && (e.ts < to || (skip > 0 && e.ts === to));
+    let collected = [];
+    let more = false;
+    for (const src of await this._list(host)) {
+      // A file only holds entries newer than its start time
+      if (skip ? src.startedAt > to : src.startedAt >= to) continue;
+      const entries = (await this._readEntries(src.file, src.gz)).filter(e => inRange(e) && (!filter || filter(e)));
+      collected = entries.concat(collected);
+      if (collected.length > limit + skip) { more = true; break; }
+      if (src.startedAt <= from) break; // older files are entirely before `from`
+    }
+    // The newest entries at `to` were on the previous page
+    for (let i = collected.length - 1, n = skip; i >= 0 && n > 0; i--) {
+      if (collected[i].ts === to) { collected.splice(i, 1); n--; }
+    }
+    let nextBefore = null;
+    if (more && collected.length > limit) {
+      const older = collected[collected.length - limit - 1];
+      collected = collected.slice(-limit);
+      const ts = collected[0].ts;
+      if (older.ts !== ts) nextBefore = ts;
+      else {
+        // The page starts partway through one millisecond: count what was returned of it
+        const shown = collected.filter(e => e.ts === ts).length + (ts === to ? skip : 0);
+        nextBefore = `${ts}:${shown}`;
+      }
+    }
+    return { logs: collected, nextBefore };
+  }
+
+  // Flush and close open files (used on shutdown)
+  async close() {
+    const ends = Array.from(this.files.values()).map(f => new Promise(resolve => f.stream.end(resolve)));
+    this.files.clear();
+    await Promise.all([...ends, ...this.rotating.values()]);
+  }
+}
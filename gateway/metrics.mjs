@@ -0,0 +1,136 @@
+// Prometheus metrics in the text exposition format (version 0.0.4).
+//
+// A small registry of counters, gauges and histograms with labels, so the
+// gateway does not need prom-client. Values that are only known at scrape time
+// (app uptime, cache sizes, memory) are filled in by collect() callbacks just
+// before rendering.
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeHelp = (s) => String(s).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabel = (s) => String(s).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelText(labels) {
+  const parts = Object.entries(labels || {}).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  if (Number.isNaN(v)) return 'NaN';
+  return String(v);
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map(); // label text -> { labels, value }
+  }
+
+  _get(labels) {
+    const key = labelText(labels);
+    let s = this.series.get(key);
+    if (!s) { s = { labels: labels || {}, value: 0 }; this.series.set(key, s); }
+    return s;
+  }
+
+  // Drop every series (gauges rebuilt on each scrape use this)
+  reset() {
+    this.series.clear();
+  }
+
+  lines() {
+    const out = [];
+    for (const [key, s] of this.series) out.push(`${this.name}${key} ${formatValue(s.value)}`);
+    return out;
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help) { super('counter', name, help); }
+
+  inc(labels, n = 1) {
+    this._get(labels).value += n;
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help) { super('gauge', name, help); }
+
+  set(labels, v) {
+    this._get(labels).value = v;
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  _get(labels) {
+    const key = labelText(labels);
+    let s = this.series.get(key);
+    if (!s) {
+      s = { labels: labels || {}, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, s);
+    }
+    return s;
+  }
+
+  observe(labels, v) {
+    const s = this._get(labels);
+    for (let i = 0; i < this.buckets.length; i++) if (v <= this.buckets[i]) s.counts[i]++;
+    s.sum += v;
+    s.count++;
+  }
+
+  lines() {
+    const out = [];
+    for (const [key, s] of this.series) {
+      this.buckets.forEach((le, i) => out.push(`${this.name}_bucket${labelText({ ...s.labels, le: formatValue(le) })} ${s.counts[i]}`));
+      out.push(`${this.name}_bucket${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      out.push(`${this.name}_sum${key} ${formatValue(s.sum)}`);
+      out.push(`${this.name}_count${key} ${s.count}`);
+    }
+    return out;
+  }
+}
+
+export class Registry {
+  constructor() {
+    this.metrics = new Map(); // name -> metric
+    this.collectors = [];
+  }
+
+  _register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`metric already registered: ${metric.name}`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help) { return this._register(new Counter(name, help)); }
+  gauge(name, help) { return this._register(new Gauge(name, help)); }
+  histogram(name, help, buckets) { return this._register(new Histogram(name, help, buckets)); }
+
+  // fn() runs before every render to refresh scrape-time values
+  collect(fn) {
+    this.collectors.push(fn);
+  }
+
+  render() {
+    for (const fn of this.collectors) {
+      try { fn(); } catch (e) { console.error('[metrics] collector failed:', e.message); }
+    }
+    const out = [];
+    for (const m of this.metrics.values()) {
+      out.push(`# HELP ${m.name} ${escapeHelp(m.help)}`);
+      out.push(`# TYPE ${m.name} ${m.type}`);
+      out.push(...m.lines());
+    }
+    return out.join('\n') + '\n';
+  }
+}
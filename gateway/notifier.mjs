@@ -0,0 +1,369 @@
+// Outage notifications: app crashes, failing or flapping health checks,
+// expiring certificates, memory-limit restarts and gateway performance alerts.
+//
+// Rules decide when something is worth telling (e.g. "3 crashes within 10
+// minutes"); channels decide where it goes (generic webhook, Slack-compatible
+// webhook, email over SMTP, local command). A notification for the same rule
+// and subject is sent at most once per cooldown; repeats in between are
+// counted and mentioned in the next one.
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import tls from 'node:tls';
+import { spawn } from 'node:child_process';
+import { request } from 'undici';
+
+export const EVENTS = ['crash', 'crash-loop', 'health-down', 'health-flap', 'cert-expiring', 'memory-limit', 'perf-alert'];
+export const CHANNEL_TYPES = ['webhook', 'slack', 'smtp', 'command'];
+
+// Used when the config lists channels but no rules
+export const DEFAULT_RULES = [
+  { event: 'crash', count: 3, windowMinutes: 10 },
+  { event: 'crash-loop' },
+  { event: 'health-down' },
+  { event: 'health-flap', count: 4, windowMinutes: 10 },
+  { event: 'cert-expiring', days: 14, cooldownMinutes: 24 * 60 }
+];
+
+const HISTORY_SIZE = 100;
+const SEND_TIMEOUT_MS = 15000;
+
+// "${NAME}" in channel settings is read from the gateway's environment so
+// secrets (SMTP passwords, webhook tokens) can stay out of the config file
+function resolveEnv(value) {
+  if (typeof value === 'string') return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, n) => process.env[n] ?? '');
+  if (Array.isArray(value)) return value.map(resolveEnv);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveEnv(v)]));
+  return value;
+}
+
+/* --------------------------------- SMTP ---------------------------------- */
+
+// Reads SMTP replies (multi-line "250-..." continued until "250 ...")
+class SmtpReader {
+  constructor() {
+    this.buf = '';
+    this.lines = [];
+    this.waiting = null;
+    this.error = null;
+  }
+
+  attach(socket) {
+    socket.setEncoding('utf8');
+    socket.on('data', (d) => { this.buf += d; this._drain(); });
+    socket.on('error', (e) => this._fail(e));
+    socket.on('close', () => this._fail(new Error('connection closed')));
+  }
+
+  _fail(e) {
+    this.error = this.error || e;
+    if (this.waiting) { const w = this.waiting; this.waiting = null; w.reject(this.error); }
+  }
+
+  _drain() {
+    let i;
+    while ((i = this.buf.indexOf('\n')) >= 0) {
+      const line = this.buf.slice(0, i).replace(/\r$/, '');
+      this.buf = this.buf.slice(i + 1);
+      this.lines.push(line);
+      if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), text: this.lines.join('\n') };
+        this.lines = [];
+        if (this.waiting) { const w = this.waiting; this.waiting = null; w.resolve(reply); } else this.pending = reply;
+      }
+    }
+  }
+
+  next() {
+    if (this.pending) { const r = this.pending; this.pending = null; return Promise.resolve(r); }
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => { this.waiting = { resolve, reject }; });
+  }
+}
+
+function encodeHeader(s) {
+  return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s).toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// Send one plain-text mail. Uses implicit TLS when `secure` (port 465 by
+// default), otherwise upgrades with STARTTLS when the server offers it.
+export async function sendMail(opts, { subject, text }) {
+  const port = opts.port || (opts.secure ? 465 : 587);
+  const tlsOpts = { host: opts.host, servername: opts.host, rejectUnauthorized: opts.rejectUnauthorized !== false };
+  const to = Array.isArray(opts.to) ? opts.to : [opts.to];
+  let socket = opts.secure ? tls.connect({ ...tlsOpts, port }) : net.connect({ host: opts.host, port });
+  let reader = new SmtpReader();
+  reader.attach(socket);
+  const timer = setTimeout(() => socket.destroy(new Error(`SMTP timeout after ${SEND_TIMEOUT_MS}ms`)), SEND_TIMEOUT_MS);
+  const expect = async (codes) => {
+    const r = await reader.next();
+    if (!codes.includes(r.code)) throw new Error(`SMTP ${r.code}: ${r.text.split('\n').pop().slice(4)}`);
+    return r;
+  };
+  const cmd = (line, codes) => { socket.write(line + '\r\n'); return expect(codes); };
+  try {
+    await expect([220]);
+    let ehlo = await cmd(`EHLO ${os.hostname()}`, [250]);
+    if (!opts.secure && /\bSTARTTLS\b/i.test(ehlo.text)) {
+      await cmd('STARTTLS', [220]);
+      socket = tls.connect({ ...tlsOpts, socket });
+      reader = new SmtpReader();
+      reader.attach(socket);
+      await new Promise((resolve, reject) => { socket.once('secureConnect', resolve); socket.once('error', reject); });
+      ehlo = await cmd(`EHLO ${os.hostname()}`, [250]);
+    }
+    if (opts.user) {
+      await cmd(`AUTH PLAIN ${Buffer.from(`\0${opts.user}\0${opts.pass || ''}`).toString('base64')}`, [235]);
+    }
+    await cmd(`MAIL FROM:<${opts.from}>`, [250]);
+    for (const rcpt of to) await cmd(`RCPT TO:<${rcpt}>`, [250, 251]);
+    await cmd('DATA', [354]);
+    // Dot-stuffing: lines starting with "." get an extra one
+    const data = buildMessage({ from: opts.from, to, subject, text }).replace(/^\./gm, '..');
+    await cmd(`${data}\r\n.`, [250]);
+    socket.write('QUIT\r\n');
+  } finally {
+    clearTimeout(timer);
+    socket.end();
+  }
+}
+
+/* -------------------------------- Channels ------------------------------- */
+
+async function postJson(url, body, headers = {}) {
+  const res = await request(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    headersTimeout: SEND_TIMEOUT_MS,
+    bodyTimeout: SEND_TIMEOUT_MS
+  });
+  const text = await res.body.text();
+  if (res.statusCode >= 300) throw new Error(`HTTP ${res.statusCode}${text ? `: ${text.slice(0, 200)}` : ''}`);
+}
+
+function runCommand(channel, n) {
+  return new Promise((resolve, reject) => {
+    const env = {
+      ...process.env,
+      GATEWAY_ALERT_EVENT: n.event,
+      GATEWAY_ALERT_HOST: n.host || '',
+      GATEWAY_ALERT_TITLE: n.title,
+      GATEWAY_ALERT_MESSAGE: n.message
+    };
+    const child = spawn(channel.command, { shell: true, env, stdio: ['pipe', 'ignore', 'pipe'], windowsHide: true });
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), SEND_TIMEOUT_MS);
+    child.stderr.on('data', (d) => { stderr += d; });
+    child.on('error', (e) => { clearTimeout(timer); reject(e); });
+    child.on('exit', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(`command exited with ${signal || `code ${code}`}${stderr ? `: ${stderr.trim().slice(0, 200)}` : ''}`));
+    });
+    child.stdin.on('error', () => {}); // the command may not read its input
+    child.stdin.end(JSON.stringify(n));
+  });
+}
+
+function deliver(channel, n) {
+  const c = resolveEnv(channel);
+  const suffix = n.suppressed ? ` (${n.suppressed} similar notification(s) suppressed)` : '';
+  switch (c.type) {
+    case 'webhook':
+      return postJson(c.url, n, c.headers);
+    case 'slack':
+      return postJson(c.url, { text: `${n.level === 'info' ? ':white_check_mark:' : ':rotating_light:'} *${n.title}*\n${n.message}${suffix}` });
+    case 'smtp':
+      return sendMail(c, { subject: `[gateway] ${n.title}`, text: `${n.message}${suffix}\n\nEvent: ${n.event}\nHost: ${n.host || '-'}\nTime: ${new Date(n.ts).toISOString()}\n` });
+    case 'command':
+      return runCommand(c, n);
+    default:
+      return Promise.reject(new Error(`unknown channel type: ${c.type}`));
+  }
+}
+
+/* -------------------------------- Notifier ------------------------------- */
+
+// Expiry dates of the certificates in `dir` (*.crt / *.pem)
+export function readCertExpiry(dir) {
+  let names = [];
+  try { names = fs.readdirSync(dir).filter(n => /\.(crt|pem)$/i.test(n)); } catch { return []; }
+  const out = [];
+  for (const name of names) {
+    try {
+      const x = new crypto.X509Certificate(fs.readFileSync(path.join(dir, name)));
+      out.push({ name, subject: x.subject.split('\n').join(', '), validTo: Date.parse(x.validTo) });
+    } catch {} // keys or other PEM files
+  }
+  return out;
+}
+
+export class Notifier {
+  constructor(config = {}, { certDir } = {}) {
+    this.channels = new Map((config.channels || []).map(c => [c.name, c]));
+    this.rules = config.rules || DEFAULT_RULES;
+    this.cooldownMs = (config.cooldownMinutes ?? 15) * 60 * 1000;
+    this.certDir = certDir;
+    this.windows = new Map(); // rule index + subject -> timestamps within the rule's window
+    this.sent = new Map(); // rule index + subject -> { ts, suppressed }
+    this.health = new Map(); // host -> last definite health (true/false)
+    this.history = []; // sent notifications with delivery results, oldest first
+    this.certTimer = null;
+  }
+
+  // Subscribe to the manager's events (and perf-alert, which the gateway re-emits on it)
+  attach(manager) {
+    manager.on('app-exit', (e) => {
+      // Deliberate stops and clean exits are not crashes
+      if (e.stopped || e.code === 0) return;
+      const how = e.signal ? `signal ${e.signal}` : `code ${e.code}`;
+      this.observe('crash', e.host, { detail: `exited with ${how}${e.instance ? ` (instance #${e.instance})` : ''}` });
+    });
+    manager.on('app-crashloop', (e) => this.observe('crash-loop', e.host, { detail: `crashed ${e.crashes} times within ${Math.round(e.windowMs / 1000)}s` }));
+    manager.on('app-health', (e) => this._health(e));
+    manager.on('app-memory-limit', (e) => this.observe('memory-limit', e.host, { detail: `restarted at ${e.memoryMb}MB (maxMemoryMb ${e.maxMemoryMb})` }));
+    manager.on('perf-alert', (a) => { if (a.state === 'firing') this.observe('perf-alert', null, { detail: a.message, subject: a.rule }); });
+    manager.on('app-removed', (e) => this.health.delete(e.host));
+  }
+
+  _health(e) {
+    // "starting" / "process exited" are set around (re)starts and stops, not probe results
+    if (e.error === 'starting' || e.error === 'process exited') { this.health.delete(e.host); return; }
+    const prev = this.health.get(e.host);
+    this.health.set(e.host, !!e.healthy);
+    if (prev === undefined || prev === !!e.healthy) return;
+    this.observe('health-flap', e.host, { detail: e.healthy ? 'healthy again' : 'failing' });
+    if (!e.healthy) this.observe('health-down', e.host, { detail: e.error || `status ${e.statusCode}` });
+  }
+
+  // Feed one occurrence of `event`; sends for every rule whose condition is now met
+  observe(event, host, info = {}) {
+    const now = Date.now();
+    this.rules.forEach((rule, i) => {
+      if (rule.event !== event) return;
+      if (rule.hosts && host && !rule.hosts.some(h => h.toLowerCase() === host.toLowerCase())) return;
+      // Each cert-expiring rule has its own horizon
+      if (info.daysLeft !== undefined && info.daysLeft > (rule.days ?? 14)) return;
+      const subject = info.subject || host || '';
+      const key = `${i}|${subject}`;
+      const count = rule.count || 1;
+      const windowMs = (rule.windowMinutes || 10) * 60 * 1000;
+      const times = (this.windows.get(key) || []).filter(t => now - t < windowMs);
+      times.push(now);
+      this.windows.set(key, times);
+      if (times.length < count) return;
+      this.windows.delete(key); // the next notification needs `count` new occurrences
+      this._notify(rule, key, this._describe(event, host, info, times.length, rule));
+    });
+  }
+
+  _describe(event, host, info, count, rule) {
+    const within = `${count} times in ${rule.windowMinutes || 10} minutes`;
+    switch (event) {
+      case 'crash':
+        return { title: `${host} crashed`, message: count > 1 ? `${host} crashed ${within}; last one ${info.detail}` : `${host} ${info.detail}` };
+      case 'crash-loop':
+        return { title: `${host} is in a crash loop`, message: `${host} ${info.detail}; auto-restart stopped until the app is reset` };
+      case 'health-down':
+        return { title: `${host} is unhealthy`, message: `Health check for ${host} failing: ${info.detail}` };
+      case 'health-flap':
+        return { title: `${host} health is flapping`, message: `Health of ${host} changed ${within}; now ${info.detail}` };
+      case 'cert-expiring':
+        return { title: `Certificate ${info.subject} expires soon`, message: info.detail };
+      case 'memory-limit':
+        return { title: `${host} over memory limit`, message: `${host} ${info.detail}` };
+      default:
+        return { title: 'Gateway performance alert', message: info.detail };
+    }
+  }
+
+  // Apply the cooldown, then send to the rule's channels (all channels by default)
+  _notify(rule, key, { title, message }) {
+    const [index, subject] = key.split('|');
+    const now = Date.now();
+    const cooldownMs = rule.cooldownMinutes !== undefined ? rule.cooldownMinutes * 60 * 1000 : this.cooldownMs;
+    const last = this.sent.get(key);
+    if (last && now - last.ts < cooldownMs) { last.suppressed++; return null; }
+    const n = {
+      event: rule.event,
+      host: rule.event === 'cert-expiring' || rule.event === 'perf-alert' ? null : subject || null,
+      title,
+      message,
+      level: 'warning',
+      ts: now,
+      rule: Number(index),
+      suppressed: last ? last.suppressed : 0
+    };
+    this.sent.set(key, { ts: now, suppressed: 0 });
+    return this.send(n, rule.channels);
+  }
+
+  // Deliver to the named channels (or all); resolves to the history record
+  async send(n, names) {
+    const targets = names ? names.map(name => this.channels.get(name)).filter(Boolean) : Array.from(this.channels.values());
+    const results = await Promise.all(targets.map(async (c) => {
+      try { await deliver(c, n); return { channel: c.name, ok: true }; }
+      catch (e) {
+        console.error(`[notify] ${c.name} (${c.type}) failed:`, e.message);
+        return { channel: c.name, ok: false, error: e.message };
+      }
+    }));
+    const record = { ...n, results };
+    this.history.push(record);
+    if (this.history.length > HISTORY_SIZE) this.history.splice(0, this.history.length - HISTORY_SIZE);
+    console.log(`[notify] ${n.title} -> ${results.map(r => `${r.channel}:${r.ok ? 'ok' : 'failed'}`).join(', ') || 'no channels'}`);
+    return record;
+  }
+
+  // Send a test notification to one channel (or all)
+  test(name) {
+    if (name && !this.channels.has(name)) throw new Error(`unknown channel: ${name}`);
+    return this.send({ event: 'test', host: null, title: 'Test notification', message: `Test notification from the gateway on ${os.hostname()}`, level: 'info', ts: Date.now(), suppressed: 0 }, name ? [name] : undefined);
+  }
+
+  checkCerts() {
+    if (!this.certDir) return;
+    const now = Date.now();
+    for (const c of readCertExpiry(this.certDir)) {
+      const daysLeft = Math.floor((c.validTo - now) / 86400000);
+      const detail = daysLeft < 0
+        ? `Certificate ${c.name} (${c.subject}) expired on ${new Date(c.validTo).toISOString().slice(0, 10)}`
+        : `Certificate ${c.name} (${c.subject}) expires in ${daysLeft} day(s), on ${new Date(c.validTo).toISOString().slice(0, 10)}`;
+      // observe() skips rules whose `days` is less than daysLeft
+      this.observe('cert-expiring', null, { subject: c.name, detail, daysLeft });
+    }
+  }
+
+  // Check certificates shortly after start and then every intervalMs
+  startCertChecks(intervalMs = 12 * 60 * 60 * 1000) {
+    if (this.certTimer) return;
+    setTimeout(() => this.checkCerts(), 60 * 1000).unref?.();
+    this.certTimer = setInterval(() => this.checkCerts(), intervalMs);
+    this.certTimer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.certTimer);
+    this.certTimer = null;
+  }
+}
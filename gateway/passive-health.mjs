@@ -0,0 +1,106 @@
+// Passive upstream health: what proxied requests see, as opposed to the
+// probes in health-check.mjs.
+//
+// Per host and upstream, connection errors and timeouts in a row and the
+// share of failed requests (errors plus 5xx responses) within windowMs are
+// tracked. Past a threshold the upstream is degraded for degradedMs: the
+// manager takes it out of rotation (or reports a single-upstream app
+// unhealthy). After that it is tried again; a response below 500 clears it,
+// another connection error degrades it again right away.
+
+export const PASSIVE_DEFAULTS = { enabled: true, maxFailures: 3, errorRate: 0.5, minRequests: 10, windowMs: 60 * 1000, degradedMs: 30 * 1000 };
+
+const BUCKETS = 10; // the error-rate window is kept as this many buckets
+
+export class PassiveHealth {
+  // onDegraded(host, upstream, { error, until }) and onRecovered(host, upstream)
+  // receive the upstream key (see load-balancer.mjs)
+  constructor({ defaults, onDegraded, onRecovered } = {}) {
+    this.defaults = { ...PASSIVE_DEFAULTS, ...(defaults || {}) };
+    this.onDegraded = onDegraded || (() => {});
+    this.onRecovered = onRecovered || (() => {});
+    this.hosts = new Map(); // host -> Map(upstream key -> { failures, buckets, degradedUntil, lastError })
+  }
+
+  settingsFor(app) {
+    const s = { ...this.defaults, ...(app?.passiveHealth || {}) };
+    return s.enabled === false ? null : s;
+  }
+
+  _state(host, key) {
+    let states = this.hosts.get(host);
+    if (!states) { states = new Map(); this.hosts.set(host, states); }
+    let s = states.get(key);
+    if (!s) { s = { failures: 0, buckets: [], degradedUntil: 0, lastError: null }; states.set(key, s); }
+    return s;
+  }
+
+  // Count one request in the error-rate window; returns [requests, failed]
+  // over the window
+  _count(s, settings, failed, now) {
+    const step = settings.windowMs / BUCKETS;
+    const t = Math.floor(now / step) * step;
+    while (s.buckets.length && s.buckets[0].t <= now - settings.windowMs) s.buckets.shift();
+    let b = s.buckets[s.buckets.length - 1];
+    if (!b || b.t !== t) { b = { t, total: 0, errors: 0 }; s.buckets.push(b); }
+    b.total++;
+    if (failed) b.errors++;
+    return s.buckets.reduce(([n, e], x) => [n + x.total, e + x.errors], [0, 0]);
+  }
+
+  _degrade(host, key, s, settings, error, now) {
+    s.degradedUntil = now + settings.degradedMs;
+    s.failures = 0;
+    s.buckets = [];
+    this.onDegraded(host, key, { error, until: s.degradedUntil });
+  }
+
+  // Outcome of one proxied request: { status } once the upstream responded,
+  // or { error } (an error code) when it could not be reached or timed out
+  record(app, key, outcome, now = Date.now()) {
+    const settings = this.settingsFor(app);
+    if (!settings) return;
+    const host = app.host.toLowerCase();
+    const s = this._state(host, key);
+    if (outcome.error) s.lastError = outcome.error;
+    if (s.degradedUntil) {
+      // Stragglers that were already in flight don't count
+      if (now < s.degradedUntil) return;
+      if (outcome.error) return this._degrade(host, key, s, settings, `still failing after ${Math.round(settings.degradedMs / 1000)}s (${outcome.error})`, now);
+      if (outcome.status < 500) {
+        s.degradedUntil = 0;
+        this.onRecovered(host, key);
+      }
+    }
+    const failed = !!outcome.error || outcome.status >= 500;
+    s.failures = outcome.error ? s.failures + 1 : 0;
+    const [requests, errors] = this._count(s, settings, failed, now);
+    if (s.failures >= settings.maxFailures) {
+      this._degrade(host, key, s, settings, `${s.failures} failed connections in a row (${outcome.error})`, now);
+    } else if (requests >= settings.minRequests && errors / requests >= settings.errorRate) {
+      this._degrade(host, key, s, settings, `${errors} of ${requests} requests failed within ${Math.round(settings.windowMs / 1000)}s`, now);
+    }
+  }
+
+  // Counters of an app's upstreams: { [upstream]: { requests, errors,
+  // failures, degradedUntil, lastError } }
+  snapshot(app, now = Date.now()) {
+    const out = {};
+    const windowMs = this.settingsFor(app)?.windowMs || this.defaults.windowMs;
+    for (const [key, s] of this.hosts.get(app.host.toLowerCase()) || []) {
+      const live = s.buckets.filter(b => b.t > now - windowMs);
+      out[key] = {
+        requests: live.reduce((n, b) => n + b.total, 0),
+        errors: live.reduce((n, b) => n + b.errors, 0),
+        failures: s.failures,
+        degradedUntil: s.degradedUntil > now ? s.degradedUntil : null,
+        lastError: s.lastError
+      };
+    }
+    return out;
+  }
+
+  forget(host) {
+    this.hosts.delete(host.toLowerCase());
+  }
+}
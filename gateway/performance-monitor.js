@@ -2,28 +2,54 @@
 /**
  * Performance Monitor for Gateway
  * Tracks memory, CPU, and connection metrics
+ *
+ * Run it directly for a console dashboard, or import it: the gateway starts one
+ * with start() and listens for 'alert' events. An alert fires once when a
+ * threshold is crossed and again (state 'resolved') when the value is back
+ * below it; the last `historySize` alerts are kept for alerts().
  */
 
+import { EventEmitter } from 'events';
 import { spawn } from 'child_process';
-import { performance } from 'perf_hooks';
+import { performance, monitorEventLoopDelay } from 'perf_hooks';
 import { fileURLToPath } from 'url';
 import path from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-class PerformanceMonitor {
-  constructor() {
+// A threshold set to 0 or null is not checked
+export const DEFAULT_THRESHOLDS = {
+  heapUsedMb: 100, // V8 heap in use
+  rssMb: 0, // resident memory of the process
+  eventLoopLagMs: 10, // p99 event loop delay over one interval
+  processCount: 8 // Node.js processes on the machine (only when process listing is on)
+};
+
+const LOOP_RESOLUTION_MS = 10;
+
+class PerformanceMonitor extends EventEmitter {
+  constructor(options = {}) {
+    super();
     this.metrics = {
       memory: { heapUsed: 0, heapTotal: 0, external: 0, rss: 0 },
       cpu: { user: 0, system: 0 },
       connections: { http: 0, https: 0, websocket: 0 },
-      eventLoop: { lag: 0, utilization: 0 },
+      eventLoop: { lag: 0, mean: 0, max: 0, utilization: 0 },
       processes: []
     };
     this.startTime = Date.now();
     this.lastCpuUsage = process.cpuUsage();
     this.eventLoopLag = 0;
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+    this.listProcesses = options.processes !== false; // shells out to ps/tasklist
+    this.historySize = options.historySize || 200;
+    this.history = []; // alerts, oldest first
+    this.active = new Map(); // rule -> firing alert
+    this.loopDelay = monitorEventLoopDelay({ resolution: LOOP_RESOLUTION_MS });
+    this.loopDelay.enable();
+    this.lastElu = performance.eventLoopUtilization();
+    this.timer = null;
   }
 
   async gatherMetrics() {
@@ -49,12 +75,14 @@ class PerformanceMonitor {
       this.measureEventLoopLag();
 
       // Node.js processes count
-      try {
-        const result = await this.getNodeProcesses();
-        this.metrics.processes = result;
-      } catch (e) {
-        this.metrics.processes = [{ name: 'node.exe', pid: process.pid, memory: `${Math.round(process.memoryUsage().rss / 1024)} K` }];
-        console.error('Note: Could not get full process list:', e.message);
+      if (this.listProcesses) {
+        try {
+          const result = await this.getNodeProcesses();
+          this.metrics.processes = result;
+        } catch (e) {
+          this.metrics.processes = [{ name: 'node.exe', pid: process.pid, memory: `${Math.round(process.memoryUsage().rss / 1024)} K` }];
+          console.error('Note: Could not get full process list:', e.message);
+        }
       }
 
       return this.metrics;
@@ -64,12 +92,75 @@ class PerformanceMonitor {
     }
   }
 
+  // Delay and utilization since the previous call. The delay histogram samples
+  // a timer every LOOP_RESOLUTION_MS; anything beyond that is lag.
   measureEventLoopLag() {
-    const start = performance.now();
-    setImmediate(() => {
-      this.eventLoopLag = Math.round(performance.now() - start);
-      this.metrics.eventLoop.lag = this.eventLoopLag;
-    });
+    const h = this.loopDelay;
+    const ms = (ns) => Math.max(0, Math.round((ns / 1e6 - LOOP_RESOLUTION_MS) * 10) / 10);
+    const elu = performance.eventLoopUtilization(this.lastElu);
+    this.lastElu = performance.eventLoopUtilization();
+    this.eventLoopLag = h.count ? ms(h.percentile(99)) : 0;
+    this.metrics.eventLoop = {
+      lag: this.eventLoopLag,
+      mean: h.count ? ms(h.mean) : 0,
+      max: h.count ? ms(h.max) : 0,
+      utilization: Math.round(elu.utilization * 1000) / 10 // percent of time busy
+    };
+    h.reset();
+  }
+
+  // Compare the latest metrics with the thresholds; emits 'alert' for every
+  // rule that starts or stops exceeding its threshold
+  checkThresholds() {
+    const t = this.thresholds;
+    const rules = [
+      { rule: 'heapUsedMb', value: this.metrics.memory.heapUsed, unit: 'MB', text: 'Heap used' },
+      { rule: 'rssMb', value: this.metrics.memory.rss, unit: 'MB', text: 'Resident memory' },
+      { rule: 'eventLoopLagMs', value: this.metrics.eventLoop.lag, unit: 'ms', text: 'Event loop lag (p99)' },
+      { rule: 'processCount', value: this.listProcesses ? this.metrics.processes.length : 0, unit: '', text: 'Node.js process count' }
+    ];
+    for (const { rule, value, unit, text } of rules) {
+      const threshold = t[rule];
+      const firing = this.active.get(rule);
+      if (threshold && value > threshold && !firing) {
+        this._record({ rule, state: 'firing', level: 'warning', value, threshold, message: `${text} ${value}${unit} exceeds ${threshold}${unit}` });
+      } else if (firing && (!threshold || value <= threshold)) {
+        this._record({ rule, state: 'resolved', level: 'info', value, threshold, firedAt: firing.ts, message: `${text} back to ${value}${unit} (threshold ${threshold}${unit})` });
+      }
+    }
+  }
+
+  _record(fields) {
+    const alert = { id: `${fields.rule}-${Date.now()}`, ts: Date.now(), ...fields };
+    if (alert.state === 'firing') this.active.set(alert.rule, alert);
+    else this.active.delete(alert.rule);
+    this.history.push(alert);
+    if (this.history.length > this.historySize) this.history.splice(0, this.history.length - this.historySize);
+    this.emit('alert', alert);
+    return alert;
+  }
+
+  // Alert history, newest last: { active, alerts } with ts > since, at most limit
+  alerts({ since = 0, limit = 100 } = {}) {
+    const list = this.history.filter(a => a.ts > since);
+    return { active: Array.from(this.active.values()), alerts: list.slice(-limit) };
+  }
+
+  // Sample and check every intervalMs in the background (module use)
+  start(intervalMs = 5000) {
+    if (this.timer) return;
+    const tick = async () => {
+      await this.gatherMetrics();
+      this.checkThresholds();
+    };
+    this.timer = setInterval(() => { tick().catch(e => console.error('[perf] check failed:', e.message)); }, intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.loopDelay.disable();
   }
 
   getNodeProcesses() {
@@ -156,7 +247,7 @@ class PerformanceMonitor {
 ├─ CPU Usage (ms since last check) ────────────────────┤
 │ User: ${this.metrics.cpu.user.toString().padStart(6)} │ System: ${this.metrics.cpu.system.toString().padStart(6)}       │
 ├─ Event Loop ──────────────────────────────────────────┤
-│ Lag: ${this.eventLoopLag.toString().padStart(4)}ms                                │
+│ Lag p99: ${this.eventLoopLag.toString().padStart(6)}ms │ Max: ${this.metrics.eventLoop.max.toString().padStart(6)}ms │ Busy: ${this.metrics.eventLoop.utilization.toString().padStart(5)}% │
 ├─ All Node.js Processes ───────────────────────────────┤
 ${this.metrics.processes.length > 0 
   ? this.metrics.processes.slice(0, 8).map(p => `│ PID ${p.pid}: ${p.memory.padStart(10)}                    │`).join('\n')
@@ -176,17 +267,9 @@ ${this.metrics.processes.length > 0
         console.clear();
         console.log(this.formatMetrics());
         
-        // Performance alerts
-        const warnings = [];
-        if (this.metrics.memory.heapUsed > 100) {
-          warnings.push('⚠️  HIGH MEMORY USAGE: Heap exceeds 100MB');
-        }
-        if (this.eventLoopLag > 10) {
-          warnings.push('⚠️  EVENT LOOP LAG: >10ms delay detected');
-        }
-        if (this.metrics.processes.length > 8) {
-          warnings.push('⚠️  HIGH PROCESS COUNT: Many Node.js processes running');
-        }
+        // Performance alerts (currently exceeded thresholds)
+        this.checkThresholds();
+        const warnings = Array.from(this.active.values()).map(a => `⚠️  ${a.message}`);
         
         if (warnings.length > 0) {
           console.log('\n' + warnings.join('\n'));
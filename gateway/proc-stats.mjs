@@ -0,0 +1,76 @@
+// CPU and memory usage of app process trees, read from /proc (Linux only).
+//
+// A tree is the child the gateway spawned plus every process descended from
+// it or left in its process group (children are spawned detached, so the
+// group id equals the child's pid). CPU time is reported in clock ticks;
+// callers turn two samples into a percentage.
+
+import fs from 'node:fs/promises';
+
+export const supported = process.platform === 'linux';
+
+// sysconf(_SC_CLK_TCK); 100 on every mainstream Linux build
+export const CLK_TCK = 100;
+
+// Fields of /proc/<pid>/stat after the "(comm)" part, which may itself contain spaces
+function parseStat(text) {
+  const rest = text.slice(text.lastIndexOf(')') + 2).split(' ');
+  return { ppid: Number(rest[1]), pgid: Number(rest[2]), ticks: Number(rest[11]) + Number(rest[12]) };
+}
+
+async function readStat(pid) {
+  try { return parseStat(await fs.readFile(`/proc/${pid}/stat`, 'utf8')); } catch { return null; }
+}
+
+async function readRssBytes(pid) {
+  try {
+    const m = /^VmRSS:\s+(\d+)\s+kB/m.exec(await fs.readFile(`/proc/${pid}/status`, 'utf8'));
+    return m ? Number(m[1]) * 1024 : 0;
+  } catch { return 0; }
+}
+
+// pid -> { ppid, pgid, ticks } for every process visible in /proc
+export async function readProcessTable() {
+  const table = new Map();
+  let names = [];
+  try { names = await fs.readdir('/proc'); } catch { return table; }
+  await Promise.all(names.filter(n => /^\d+$/.test(n)).map(async (n) => {
+    const stat = await readStat(n);
+    if (stat) table.set(Number(n), stat);
+  }));
+  return table;
+}
+
+// Pids of the tree rooted at `root` (the root first, if it is still alive)
+export function treePids(table, root) {
+  const out = new Set();
+  if (table.has(root)) out.add(root);
+  for (const [pid, p] of table) if (p.pgid === root) out.add(pid);
+  // Descendants that moved to a process group of their own
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const [pid, p] of table) {
+      if (!out.has(pid) && out.has(p.ppid)) { out.add(pid); grew = true; }
+    }
+  }
+  return Array.from(out);
+}
+
+// Usage of several trees from one scan of /proc:
+// root pid -> { ticks, rssBytes, pids }
+export async function sampleTrees(roots) {
+  const result = new Map();
+  if (!supported || !roots.length) return result;
+  const table = await readProcessTable();
+  await Promise.all(roots.map(async (root) => {
+    const pids = treePids(table, root);
+    const rss = await Promise.all(pids.map(readRssBytes));
+    result.set(root, {
+      ticks: pids.reduce((n, pid) => n + table.get(pid).ticks, 0),
+      rssBytes: rss.reduce((a, b) => a + b, 0),
+      pids
+    });
+  }));
+  return result;
+}
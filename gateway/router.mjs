@@ -0,0 +1,79 @@
+// Path-based routing for a single host entry.
+//
+// An app may declare an ordered `routes` array; the first rule whose `path`
+// prefix (e.g. "/api/*") or `regex` matches the request path wins. A rule
+// points at another configured host (`app`), an inline `upstream`, or a
+// `staticDir`. With `stripPrefix: true` the matched part of the path is
+// removed before the request is forwarded.
+
+const compiledCache = new WeakMap(); // app object -> compiled rules
+
+function compileRule(route) {
+  if (!route || typeof route !== 'object') return null;
+  if (typeof route.regex === 'string' && route.regex) {
+    let rx;
+    try { rx = new RegExp(route.regex); } catch { return null; }
+    return {
+      route,
+      match(pathname) {
+        const m = rx.exec(pathname);
+        if (!m) return null;
+        // Only a match anchored at the start can be stripped meaningfully
+        const strip = m.index === 0 ? m[0].length : 0;
+        return { strip };
+      }
+    };
+  }
+  if (typeof route.path === 'string') {
+    // "/api/*", "/api/" and "/api" all mean the /api prefix
+    let prefix = route.path.trim().replace(/\*+$/, '').replace(/\/+$/, '');
+    if (prefix && !prefix.startsWith('/')) prefix = '/' + prefix;
+    return {
+      route,
+      match(pathname) {
+        if (!prefix) return { strip: 0 }; // "/" or "/*" matches everything
+        if (pathname === prefix || pathname.startsWith(prefix + '/')) return { strip: prefix.length };
+        return null;
+      }
+    };
+  }
+  return null;
+}
+
+export function compileRoutes(routes) {
+  if (!Array.isArray(routes)) return [];
+  return routes.map(compileRule).filter(Boolean);
+}
+
+function rulesFor(app) {
+  if (!app || !Array.isArray(app.routes) || !app.routes.length) return null;
+  let rules = compiledCache.get(app);
+  if (!rules) {
+    rules = compileRoutes(app.routes);
+    compiledCache.set(app, rules);
+  }
+  return rules;
+}
+
+// Returns { route, url } for the first matching rule, or null when the app has
+// no routes or none match. `url` is the (possibly prefix-stripped) request URL.
+export function matchRoute(app, url) {
+  const rules = rulesFor(app);
+  if (!rules) return null;
+  const raw = url || '/';
+  const qIdx = raw.indexOf('?');
+  const pathname = qIdx === -1 ? raw : raw.slice(0, qIdx);
+  const search = qIdx === -1 ? '' : raw.slice(qIdx);
+  for (const rule of rules) {
+    const m = rule.match(pathname);
+    if (!m) continue;
+    let outUrl = raw;
+    if (rule.route.stripPrefix && m.strip) {
+      let rest = pathname.slice(m.strip);
+      if (!rest.startsWith('/')) rest = '/' + rest;
+      outUrl = rest + search;
+    }
+    return { route: rule.route, url: outUrl };
+  }
+  return null;
+}
@@ -0,0 +1,145 @@
+// In-memory time series per host for the admin UI metrics charts.
+//
+// Two fixed-size ring buffers per host: 10-second buckets for the last hour
+// and 5-minute buckets for the last day. Each bucket holds the request count,
+// server errors (5xx), a coarse latency histogram (for p50/p95) and the
+// CPU / memory / restart samples taken while it was current. Nothing is kept
+// across gateway restarts.
+
+// Upper bounds (ms) of the latency histogram buckets; quantiles are
+// interpolated inside a bucket
+const LATENCY_BOUNDS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 30000, Infinity];
+
+export const RANGES = {
+  '1h': { stepMs: 10 * 1000, slots: 360 },
+  '24h': { stepMs: 5 * 60 * 1000, slots: 288 }
+};
+
+function emptySlot(t) {
+  return { t, count: 0, errors: 0, latency: new Array(LATENCY_BOUNDS.length).fill(0), cpuSum: 0, cpuN: 0, memSum: 0, memN: 0, restarts: 0 };
+}
+
+function quantile(counts, total, q) {
+  if (!total) return null;
+  const rank = q * total;
+  let seen = 0;
+  for (let i = 0; i < counts.length; i++) {
+    if (seen + counts[i] >= rank && counts[i]) {
+      const lo = i ? LATENCY_BOUNDS[i - 1] : 0;
+      const hi = LATENCY_BOUNDS[i] === Infinity ? lo * 2 : LATENCY_BOUNDS[i];
+      return Math.round((lo + (hi - lo) * ((rank - seen) / counts[i])) * 10) / 10;
+    }
+    seen += counts[i];
+  }
+  return null;
+}
+
+class Ring {
+  constructor({ stepMs, slots }) {
+    this.stepMs = stepMs;
+    this.slots = new Array(slots).fill(null);
+  }
+
+  // Bucket for time `ts`, recycling the slot when it still holds an older bucket
+  at(ts) {
+    const t = Math.floor(ts / this.stepMs) * this.stepMs;
+    const i = Math.floor(t / this.stepMs) % this.slots.length;
+    if (!this.slots[i] || this.slots[i].t !== t) this.slots[i] = emptySlot(t);
+    return this.slots[i];
+  }
+
+  // One point per step, oldest first, ending with the current bucket
+  points(now) {
+    const end = Math.floor(now / this.stepMs) * this.stepMs;
+    const out = [];
+    for (let k = this.slots.length - 1; k >= 0; k--) {
+      const t = end - k * this.stepMs;
+      const s = this.slots[Math.floor(t / this.stepMs) % this.slots.length];
+      const b = s && s.t === t ? s : null;
+      out.push({
+        ts: t,
+        requests: b ? b.count : 0,
+        rps: b ? Math.round(b.count / (this.stepMs / 1000) * 100) / 100 : 0,
+        p50: b ? quantile(b.latency, b.count, 0.5) : null,
+        p95: b ? quantile(b.latency, b.count, 0.95) : null,
+        errorRate: b && b.count ? Math.round(b.errors / b.count * 1000) / 10 : null,
+        cpu: b && b.cpuN ? Math.round(b.cpuSum / b.cpuN * 10) / 10 : null,
+        memoryMb: b && b.memN ? Math.round(b.memSum / b.memN * 10) / 10 : null,
+        restarts: b ? b.restarts : 0
+      });
+    }
+    return out;
+  }
+}
+
+export class TimeSeriesStore {
+  // `sample()` returns [{ host, cpu, memoryMb, restarts }] and is called every
+  // sampleMs while started; restarts is the cumulative counter from runtime()
+  constructor({ sample, sampleMs = 10000 } = {}) {
+    this.sample = sample;
+    this.sampleMs = sampleMs;
+    this.hosts = new Map(); // host -> { '1h': Ring, '24h': Ring }
+    this.lastRestarts = new Map(); // host -> cumulative restarts at the previous sample
+    this.timer = null;
+  }
+
+  _rings(host) {
+    let r = this.hosts.get(host);
+    if (!r) {
+      r = Object.fromEntries(Object.entries(RANGES).map(([name, opts]) => [name, new Ring(opts)]));
+      this.hosts.set(host, r);
+    }
+    return r;
+  }
+
+  recordRequest(host, status, ms, now = Date.now()) {
+    let i = 0;
+    while (ms > LATENCY_BOUNDS[i]) i++;
+    for (const ring of Object.values(this._rings(host))) {
+      const b = ring.at(now);
+      b.count++;
+      if (status >= 500) b.errors++;
+      b.latency[i]++;
+    }
+  }
+
+  recordSample({ host, cpu, memoryMb, restarts }, now = Date.now()) {
+    const prev = this.lastRestarts.get(host);
+    this.lastRestarts.set(host, restarts || 0);
+    // Counters go back to zero when an app is re-added; that is not a restart
+    const newRestarts = prev === undefined ? 0 : Math.max(0, (restarts || 0) - prev);
+    for (const ring of Object.values(this._rings(host))) {
+      const b = ring.at(now);
+      if (typeof cpu === 'number') { b.cpuSum += cpu; b.cpuN++; }
+      if (typeof memoryMb === 'number') { b.memSum += memoryMb; b.memN++; }
+      b.restarts += newRestarts;
+    }
+  }
+
+  // { stepMs, points } for one host; hosts without data get an empty series
+  series(host, range = '1h', now = Date.now()) {
+    if (!RANGES[range]) throw new Error(`range must be one of: ${Object.keys(RANGES).join(', ')}`);
+    const rings = this.hosts.get(host);
+    const ring = rings ? rings[range] : new Ring(RANGES[range]);
+    return { host, range, stepMs: ring.stepMs, points: ring.points(now) };
+  }
+
+  // Drop series of hosts that no longer exist
+  forget(host) {
+    this.hosts.delete(host);
+    this.lastRestarts.delete(host);
+  }
+
+  start() {
+    if (this.timer || !this.sample) return;
+    this.timer = setInterval(() => {
+      try { for (const s of this.sample()) this.recordSample(s); } catch (e) { console.error('[timeseries] sample failed:', e.message); }
+    }, this.sampleMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}